@@ -0,0 +1,42 @@
+// Shared terminal formatting for the event loop examples.
+
+const phaseColors = {
+  'script execution': 'yellow',
+  'timers phase': 'green',
+  'check phase': 'cyan',
+  'poll phase': 'blue',
+  'nextTick queue': 'magenta',
+  'microtask queue': 'red'
+};
+
+const colors = {
+  yellow: '\x1b[33m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  red: '\x1b[31m',
+  reset: '\x1b[0m'
+};
+
+// Wraps text in the color of the given phase/queue.
+const colorize = (text, phase) => {
+  const colorName = phaseColors[phase] || 'reset';
+  const colorCode = colors[colorName] || colors.reset;
+  return `${colorCode}${text}${colors.reset}`;
+};
+
+const formatOutput = (message, phase) => {
+  const messageWidth = 45;
+  const phaseWidth = 20;
+  const paddedMessage = message.padEnd(messageWidth);
+  const paddedPhase = phase.padEnd(phaseWidth);
+  console.log(colorize(`| ${paddedMessage} | ${paddedPhase} |`, phase));
+};
+
+const printHeader = () => {
+  console.log('| Message                                       | Phase/Queue          |');
+  console.log('|-----------------------------------------------|----------------------|');
+};
+
+module.exports = { phaseColors, colors, colorize, formatOutput, printHeader };
@@ -0,0 +1,192 @@
+// Golden-file regression tests for event loop ordering.
+//
+// Every golden/*.golden file names a scenario (a script or a scenarios/*.json
+// file, relative to the golden file) and lists the rows it must print, in order:
+//
+//   @script ../index.js
+//   Start of script | script execution
+//   ~ setTimeout callback | timers phase
+//   ~ setImmediate callback | check phase
+//
+// Consecutive lines starting with "~" form a group whose members may appear
+// in any order (e.g. top-level setTimeout vs setImmediate), so the test does
+// not flake on them. Lines starting with "#" are comments.
+//
+// The phase of each row is the one tracer.js observed, not the label the
+// scenario passes to formatOutput(). A label that disagrees with the tracer
+// fails the test too, so the hand-written labels stay honest.
+//
+//   node golden.js                     # check every golden file
+//   node golden.js golden/index.golden # check one
+//   node golden.js --runs 20           # run each scenario 20 times
+//   node golden.js --update <file>     # rewrite a golden file from a real run
+
+const fs = require('fs');
+const path = require('path');
+const { runScenario } = require('./scenario-runner');
+const { colors } = require('./format');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+const formatRow = ({ message, phase }) => `${message} | ${phase}`;
+
+function parseGolden(file) {
+  const groups = [];
+  let script = null;
+  let inGroup = false;
+
+  fs.readFileSync(file, 'utf8').split('\n').forEach((raw, index) => {
+    const line = raw.trim();
+    if (line === '' || line.startsWith('#')) {
+      inGroup = false;
+      return;
+    }
+    if (line.startsWith('@script ')) {
+      script = path.resolve(path.dirname(file), line.slice('@script '.length).trim());
+      return;
+    }
+
+    const unordered = line.startsWith('~');
+    const [message, phase] = line.replace(/^~\s*/, '').split(/\s+\|\s+/);
+    if (!phase) {
+      throw new Error(`${path.basename(file)}:${index + 1}: expected "<message> | <phase>", got "${line}"`);
+    }
+    const row = { message, phase };
+    if (unordered && inGroup) {
+      groups[groups.length - 1].push(row);
+    } else {
+      groups.push([row]);
+    }
+    inGroup = unordered;
+  });
+
+  if (!script) {
+    throw new Error(`${path.basename(file)}: missing "@script <path>" line`);
+  }
+  return { script, groups };
+}
+
+// Reorders the actual rows so that every "either order" group that matched
+// appears in golden order. What is left are real differences.
+function normalize(groups, actual) {
+  const rows = actual.map(formatRow);
+  const result = [];
+  let offset = 0;
+  for (const group of groups) {
+    if (offset >= rows.length) break;
+    const expected = group.map(formatRow);
+    const slice = rows.slice(offset, offset + group.length);
+    const sameMembers = [...expected].sort().join('\n') === [...slice].sort().join('\n');
+    result.push(...(sameMembers ? expected : slice));
+    offset += slice.length;
+  }
+  return result.concat(rows.slice(offset));
+}
+
+// A plain LCS line diff: ' ' unchanged, '-' expected only, '+' actual only.
+function diffLines(expected, actual) {
+  const lcs = Array.from({ length: expected.length + 1 }, () => new Array(actual.length + 1).fill(0));
+  for (let i = expected.length - 1; i >= 0; i--) {
+    for (let j = actual.length - 1; j >= 0; j--) {
+      lcs[i][j] = expected[i] === actual[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < expected.length || j < actual.length) {
+    if (i < expected.length && j < actual.length && expected[i] === actual[j]) {
+      diff.push(`  ${expected[i++]}`);
+      j++;
+    } else if (i < expected.length && (j === actual.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      diff.push(`${colors.red}- ${expected[i++]}${colors.reset}`);
+    } else {
+      diff.push(`${colors.green}+ ${actual[j++]}${colors.reset}`);
+    }
+  }
+  return diff;
+}
+
+async function check(file, runs) {
+  const { script, groups } = parseGolden(file);
+  const expected = groups.flat().map(formatRow);
+
+  for (let run = 1; run <= runs; run++) {
+    const rows = await runScenario(script);
+    const mislabelled = rows.filter((row) => row.label !== row.phase);
+    if (mislabelled.length > 0) {
+      return {
+        ok: false,
+        run,
+        reason: 'labels differ from the traced phases',
+        diff: mislabelled.map(({ message, label, phase }) => `${message}: labelled "${label}", but ran in "${phase}"`),
+      };
+    }
+    const actual = normalize(groups, rows);
+    if (actual.join('\n') !== expected.join('\n')) {
+      return { ok: false, run, reason: 'event loop order differs', diff: diffLines(expected, actual) };
+    }
+  }
+  return { ok: true };
+}
+
+async function update(file, script) {
+  const rows = await runScenario(script);
+  const header = [
+    `# Expected event loop order of ${path.basename(script)}, one "<message> | <phase>" per line.`,
+    '# Consecutive lines starting with "~" form a group that may run in any order.',
+    `@script ${path.relative(path.dirname(file), script)}`,
+    '',
+  ];
+  fs.writeFileSync(file, header.concat(rows.map(formatRow)).join('\n') + '\n');
+  console.log(`Wrote ${path.relative(process.cwd(), file)}. Mark nondeterministic rows with "~" by hand.`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  let runs = 1;
+  const runsIndex = args.indexOf('--runs');
+  if (runsIndex !== -1) {
+    runs = Number(args.splice(runsIndex, 2)[1]);
+    if (!Number.isInteger(runs) || runs < 1) {
+      throw new Error('--runs expects a positive integer');
+    }
+  }
+
+  if (args[0] === '--update') {
+    const file = args[1];
+    if (!file) throw new Error('Usage: node golden.js --update <golden file> [script]');
+    const script = args[2] ? path.resolve(args[2]) : parseGolden(file).script;
+    await update(path.resolve(file), script);
+    return;
+  }
+
+  const files = args.length > 0
+    ? args.map((file) => path.resolve(file))
+    : fs.readdirSync(GOLDEN_DIR).filter((name) => name.endsWith('.golden')).map((name) => path.join(GOLDEN_DIR, name));
+
+  let failed = 0;
+  for (const file of files) {
+    const name = path.relative(process.cwd(), file);
+    const result = await check(file, runs);
+    if (result.ok) {
+      console.log(`${colors.green}✔ ${name}${colors.reset}${runs > 1 ? ` (${runs} runs)` : ''}`);
+    } else {
+      failed++;
+      console.log(`${colors.red}✖ ${name}${colors.reset} (run ${result.run}): ${result.reason}`);
+      if (result.reason === 'event loop order differs') {
+        console.log(`  ${colors.red}- expected${colors.reset}  ${colors.green}+ actual${colors.reset}\n`);
+      }
+      result.diff.forEach((line) => console.log(`  ${line}`));
+      console.log();
+    }
+  }
+
+  console.log(`\n${files.length - failed}/${files.length} golden file(s) passed.`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
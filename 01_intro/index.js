@@ -1,37 +1,9 @@
 const fs = require('fs');
 const path = require('path');
 
-const phaseColors = {
-  'script execution': 'yellow',
-  'timers phase': 'green',
-  'check phase': 'cyan',
-  'poll phase': 'blue',
-  'nextTick queue': 'magenta',
-  'microtask queue': 'red'
-};
+const { formatOutput, printHeader } = require('./format');
 
-const colors = {
-  yellow: '\x1b[33m',
-  green: '\x1b[32m',
-  cyan: '\x1b[36m',
-  blue: '\x1b[34m',
-  magenta: '\x1b[35m',
-  red: '\x1b[31m',
-  reset: '\x1b[0m'
-};
-
-const formatOutput = (message, phase) => {
-  const messageWidth = 45;
-  const phaseWidth = 20;
-  const paddedMessage = message.padEnd(messageWidth);
-  const paddedPhase = phase.padEnd(phaseWidth);
-  const colorName = phaseColors[phase] || 'reset';
-  const colorCode = colors[colorName] || colors.reset;
-  console.log(`${colorCode}| ${paddedMessage} | ${paddedPhase} |${colors.reset}`);
-};
-
-console.log('| Message                                       | Phase/Queue          |');
-console.log('|-----------------------------------------------|----------------------|');
+printHeader();
 
 
 // Initial console.log to show the start of the script
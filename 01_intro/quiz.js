@@ -0,0 +1,193 @@
+// Interactive event loop quiz.
+//
+//   node quiz.js              # pick a scenario from a list
+//   node quiz.js microtasks   # start one directly
+//
+// The quiz shows a scenario's source and its log lines in shuffled order, asks
+// for the order they will be printed in, then runs the scenario for real and
+// scores the answer.
+//
+// Scenarios are JSON data files in scenarios/; adding one needs no code change:
+//
+//   {
+//     "title": "Short title",
+//     "description": "What the scenario is about (optional).",
+//     "script": "../index.js",          // a script to run, relative to the JSON file
+//     "source": ["formatOutput('Start', 'script execution');", "..."],
+//                                       // ...or the source inline, one string per line;
+//                                       // fs, path and formatOutput are predefined
+//     "eitherOrder": [["setTimeout callback", "setImmediate callback"]]
+//                                       // messages whose relative order is not deterministic
+//   }
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { loadScenario, runScenario } = require('./scenario-runner');
+const { colors, colorize, formatOutput, printHeader } = require('./format');
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Finds the messages passed to formatOutput('<message>', ...) in the source.
+const MESSAGE_PATTERN = /formatOutput\(\s*(['"`])(.*?)\1\s*,/g;
+
+function listScenarios() {
+  return fs.readdirSync(SCENARIO_DIR)
+    .filter((name) => name.endsWith('.json'))
+    .sort()
+    .map((name) => loadScenario(path.join(SCENARIO_DIR, name)));
+}
+
+function extractMessages(source) {
+  const messages = new Set();
+  for (const match of source.matchAll(MESSAGE_PATTERN)) {
+    messages.add(match[2]);
+  }
+  return [...messages];
+}
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function showSource(scenario) {
+  console.log(`\n${colors.cyan}${scenario.title}${colors.reset}`);
+  if (scenario.description) {
+    console.log(scenario.description);
+  }
+  console.log();
+  const lines = scenario.source.trimEnd().split('\n');
+  const width = String(lines.length).length;
+  lines.forEach((line, i) => console.log(`${colors.yellow}${String(i + 1).padStart(width)}${colors.reset}  ${line}`));
+  console.log();
+}
+
+// Parses "CAB" or "C A B" or "c,a,b" into a permutation of the choices.
+function parseAnswer(input, choices) {
+  const letters = input.toUpperCase().replace(/[^A-Z]/g, '').split('');
+  const indexes = letters.map((letter) => LETTERS.indexOf(letter));
+  const valid = indexes.length === choices.length &&
+    new Set(indexes).size === indexes.length &&
+    indexes.every((index) => index >= 0 && index < choices.length);
+  return valid ? indexes.map((index) => choices[index]) : null;
+}
+
+// Two messages are in the right relative order if the answer agrees with the
+// actual run, or if the scenario declares their order as nondeterministic.
+function score(answer, actual, eitherOrder) {
+  const interchangeable = (a, b) => eitherOrder.some((group) => group.includes(a) && group.includes(b));
+  const actualIndex = new Map(actual.map((message, i) => [message, i]));
+
+  const marks = answer.map((message, i) => message === actual[i] || interchangeable(message, actual[i]));
+
+  let pairs = 0;
+  let correctPairs = 0;
+  for (let i = 0; i < answer.length; i++) {
+    for (let j = i + 1; j < answer.length; j++) {
+      pairs++;
+      if (actualIndex.get(answer[i]) < actualIndex.get(answer[j]) || interchangeable(answer[i], answer[j])) {
+        correctPairs++;
+      }
+    }
+  }
+  return { marks, exact: marks.filter(Boolean).length, pairs, correctPairs };
+}
+
+// Line-based prompt. Reading through the async iterator (instead of
+// rl.question) buffers lines, so answers can also be piped in.
+function createPrompt() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const lines = rl[Symbol.asyncIterator]();
+  return {
+    async ask(question) {
+      process.stdout.write(question);
+      const { value, done } = await lines.next();
+      if (done) {
+        throw new Error('\nInput ended before the quiz was finished.');
+      }
+      return value;
+    },
+    close: () => rl.close(),
+  };
+}
+
+async function pickScenario(prompt, scenarios, requested) {
+  if (requested) {
+    const scenario = scenarios.find((s) => s.name === requested);
+    if (!scenario) {
+      throw new Error(`Unknown scenario "${requested}". Available: ${scenarios.map((s) => s.name).join(', ')}`);
+    }
+    return scenario;
+  }
+
+  console.log('Event loop quiz. Choose a scenario:\n');
+  scenarios.forEach((s, i) => console.log(`  ${i + 1}) ${s.title}`));
+  for (;;) {
+    const choice = Number(await prompt.ask(`\nScenario [1-${scenarios.length}]: `));
+    if (Number.isInteger(choice) && choice >= 1 && choice <= scenarios.length) {
+      return scenarios[choice - 1];
+    }
+    console.log('Please enter one of the numbers above.');
+  }
+}
+
+async function main() {
+  const scenarios = listScenarios();
+  const prompt = createPrompt();
+
+  try {
+    const scenario = await pickScenario(prompt, scenarios, process.argv[2]);
+    showSource(scenario);
+
+    const choices = shuffle(extractMessages(scenario.source));
+    if (choices.length > LETTERS.length) {
+      throw new Error(`Scenario has ${choices.length} log lines; the quiz supports at most ${LETTERS.length}`);
+    }
+    console.log('In which order are these lines printed?\n');
+    choices.forEach((message, i) => console.log(`  ${LETTERS[i]}) ${message}`));
+
+    let answer = null;
+    while (!answer) {
+      answer = parseAnswer(await prompt.ask(`\nYour order (e.g. ${LETTERS.slice(0, Math.min(choices.length, 4))}...): `), choices);
+      if (!answer) {
+        console.log(`Please use each of the letters A-${LETTERS[choices.length - 1]} exactly once.`);
+      }
+    }
+
+    console.log('\nRunning the scenario for real...\n');
+    const rows = await runScenario(scenario);
+    const actual = rows.map((row) => row.message);
+
+    printHeader();
+    rows.forEach(({ message, phase }) => formatOutput(message, phase));
+
+    const { marks, exact, pairs, correctPairs } = score(answer, actual, scenario.eitherOrder);
+    const phaseOf = new Map(rows.map((row) => [row.message, row.phase]));
+
+    console.log('\nYour answer vs. the actual run:\n');
+    answer.forEach((message, i) => {
+      const mark = marks[i] ? `${colors.green}✔${colors.reset}` : `${colors.red}✖${colors.reset}`;
+      const hint = marks[i] ? '' : `  (actual: ${actual[i] === undefined ? '-' : actual[i]})`;
+      console.log(`  ${mark} ${String(i + 1).padStart(2)}. ${colorize(message, phaseOf.get(message))}${hint}`);
+    });
+
+    console.log(`\nScore: ${exact}/${answer.length} lines in the right position, ` +
+      `${correctPairs}/${pairs} pairs in the right relative order.`);
+    if (scenario.eitherOrder.length > 0) {
+      console.log(`Note: ${scenario.eitherOrder.map((g) => g.join(' / ')).join('; ')} may run in either order.`);
+    }
+  } finally {
+    prompt.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,115 @@
+// Runs an event loop scenario in a child process and captures its
+// formatOutput() calls as an ordered list of { message, phase, label }.
+//
+// The child runs the scenario under tracer.js: `phase` is the queue or phase
+// the tracer saw the call run in, `label` the one the scenario wrote by hand.
+// Tests compare `phase`, so a wrong label can't make them pass.
+//
+// A separate process matters: the event loop of the caller must not influence
+// the ordering we are trying to observe.
+//
+// A scenario is either a plain script (index.js) or a JSON data file from
+// scenarios/ (the format is described in quiz.js), which either points at a
+// script or carries its source inline.
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const Module = require('module');
+const path = require('path');
+
+// The child prints one "<ROW_PREFIX><json>" line per formatOutput() call.
+const ROW_PREFIX = '@row ';
+
+// Inline sources get the same helpers index.js uses, on a single line so the
+// line numbers in error messages still match the scenario's source.
+const PRELUDE = "const fs = require('fs'); const path = require('path'); const { formatOutput } = require('./format');";
+
+function parseRows(output) {
+  return output
+    .split('\n')
+    .filter((line) => line.startsWith(ROW_PREFIX))
+    .map((line) => JSON.parse(line.slice(ROW_PREFIX.length)));
+}
+
+function loadScenario(file) {
+  const fullPath = path.resolve(file);
+  if (path.extname(fullPath) !== '.json') {
+    return {
+      file: fullPath,
+      name: path.basename(fullPath, '.js'),
+      title: path.basename(fullPath),
+      description: '',
+      scriptPath: fullPath,
+      source: fs.readFileSync(fullPath, 'utf8'),
+      eitherOrder: [],
+    };
+  }
+
+  const data = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+  if (!data.title || (!data.script && !Array.isArray(data.source))) {
+    throw new Error(`${path.basename(fullPath)}: a scenario needs a "title" and either "script" or "source"`);
+  }
+  const scriptPath = data.script ? path.resolve(path.dirname(fullPath), data.script) : null;
+  return {
+    file: fullPath,
+    name: path.basename(fullPath, '.json'),
+    title: data.title,
+    description: data.description || '',
+    scriptPath,
+    source: scriptPath ? fs.readFileSync(scriptPath, 'utf8') : data.source.join('\n'),
+    eitherOrder: data.eitherOrder || [],
+  };
+}
+
+// `target` is a path to a scenario (.js or .json) or an object from loadScenario().
+function runScenario(target, { timeout = 10000 } = {}) {
+  const scenario = typeof target === 'string' ? loadScenario(target) : target;
+  const cwd = scenario.scriptPath ? path.dirname(scenario.scriptPath) : __dirname;
+
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [__filename, scenario.file], { cwd, timeout }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `Scenario ${scenario.name} failed: ${error.message}${stderr ? `\n${stderr}` : ''}`;
+        reject(error);
+        return;
+      }
+      resolve(parseRows(stdout));
+    });
+  });
+}
+
+// In the child: trace the scenario and report every formatOutput() call
+// together with where it actually ran.
+function observeScenario(file) {
+  const { createTracer } = require('./tracer');
+  const format = require('./format');
+  const scenario = loadScenario(file);
+  const tracer = createTracer();
+
+  // Scripts destructure formatOutput when they load, so replace it first.
+  format.formatOutput = (message, label) => {
+    console.log(`${ROW_PREFIX}${JSON.stringify({ message, phase: tracer.currentQueue(), label })}`);
+  };
+  tracer.install();
+  process.on('exit', () => tracer.uninstall());
+
+  if (scenario.scriptPath) {
+    process.argv = [process.argv[0], scenario.scriptPath];
+    require(scenario.scriptPath);
+    return;
+  }
+  // The tracer only follows callbacks scheduled from a file on disk, so the
+  // inline source is compiled as a module with a (made-up) path next to format.js.
+  const filename = path.join(__dirname, `${scenario.name}.scenario.js`);
+  const inline = new Module(filename, module);
+  inline.filename = filename;
+  inline.paths = Module._nodeModulePaths(__dirname);
+  inline._compile(`${PRELUDE} ${scenario.source}`, filename);
+}
+
+module.exports = { runScenario, loadScenario, parseRows };
+
+// Child mode: node scenario-runner.js <scenario>
+if (require.main === module) {
+  observeScenario(process.argv[2]);
+}
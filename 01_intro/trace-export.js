@@ -0,0 +1,105 @@
+// Exports tracer events (see tracer.js) as structured data.
+//
+// - toJSON():        plain JSON, handy for diffing runs across Node versions.
+// - toChromeTrace(): the Chrome Trace Event Format, which chrome://tracing and
+//                    https://ui.perfetto.dev can open directly.
+//
+// In the Chrome trace every event loop phase gets its own track ("thread");
+// nextTick and microtask callbacks land on the track of the phase they ran in,
+// with their queue as the category. Each callback shows up twice:
+// - an async span from the moment it was scheduled until it started running
+//   (how long it waited in its queue),
+// - a slice on its phase track for the time it actually ran.
+
+const { SCRIPT, TIMERS, POLL, CHECK } = require('./tracer');
+
+const PHASES = [SCRIPT, TIMERS, POLL, CHECK];
+
+const round = (ms) => Math.round(ms * 1000) / 1000;
+
+function runtimeInfo() {
+  return {
+    node: process.version,
+    v8: process.versions.v8,
+    platform: process.platform,
+    arch: process.arch,
+  };
+}
+
+function toJSON(events, { script } = {}) {
+  return {
+    script: script || null,
+    runtime: runtimeInfo(),
+    recordedAt: new Date().toISOString(),
+    events: events.map((event) => {
+      const endedAt = event.endedAt === null ? event.startedAt : event.endedAt;
+      return {
+        id: event.id,
+        parentId: event.parentId,
+        tick: event.tick,
+        label: event.label,
+        api: event.api,
+        name: event.name,
+        callsite: event.callsite,
+        queue: event.queue,
+        phase: event.phase,
+        scheduledAt: round(event.scheduledAt),
+        startedAt: round(event.startedAt),
+        endedAt: round(endedAt),
+        waitMs: round(event.startedAt - event.scheduledAt),
+        durationMs: round(endedAt - event.startedAt),
+      };
+    }),
+  };
+}
+
+function toChromeTrace(events, { script } = {}) {
+  const pid = process.pid;
+  const toMicros = (ms) => Math.round(ms * 1000);
+  const tracks = PHASES.filter((name) => events.some((event) => event.phase === name));
+  const tid = (name) => tracks.indexOf(name) + 1;
+
+  const traceEvents = [
+    {
+      ph: 'M', name: 'process_name', pid, tid: 0,
+      args: { name: `${script || 'script'} (node ${process.version})` },
+    },
+    ...tracks.flatMap((name) => [
+      { ph: 'M', name: 'thread_name', pid, tid: tid(name), args: { name } },
+      { ph: 'M', name: 'thread_sort_index', pid, tid: tid(name), args: { sort_index: tid(name) } },
+    ]),
+  ];
+
+  for (const event of events) {
+    const track = tid(event.phase);
+    const endedAt = event.endedAt === null ? event.startedAt : event.endedAt;
+    const args = {
+      tick: event.tick,
+      queue: event.queue,
+      phase: event.phase,
+      callsite: event.callsite,
+      parentId: event.parentId,
+    };
+
+    // Waiting in the queue: from scheduling until the callback starts.
+    traceEvents.push(
+      { ph: 'b', cat: event.queue, name: `waiting: ${event.label}`, id: event.id, pid, tid: track, ts: toMicros(event.scheduledAt), args },
+      { ph: 'e', cat: event.queue, name: `waiting: ${event.label}`, id: event.id, pid, tid: track, ts: toMicros(event.startedAt) }
+    );
+    // Running: a complete event on the phase track.
+    traceEvents.push({
+      ph: 'X', cat: event.queue, name: event.label, pid, tid: track,
+      ts: toMicros(event.startedAt),
+      dur: Math.max(toMicros(endedAt - event.startedAt), 1),
+      args,
+    });
+  }
+
+  return {
+    traceEvents,
+    displayTimeUnit: 'ms',
+    metadata: { script: script || null, ...runtimeInfo() },
+  };
+}
+
+module.exports = { toJSON, toChromeTrace };
@@ -0,0 +1,321 @@
+// Event loop tracer.
+//
+// index.js labels every callback by hand ("setTimeout callback", "timers phase").
+// The tracer finds that out by itself: it wraps the scheduling APIs, and when a
+// callback runs it records which queue it came from and which event loop phase
+// was active at that moment.
+//
+//   node tracer.js index.js        # trace any script, print the report on exit
+//   node tracer.js --json trace.json --chrome trace.chrome.json index.js
+//
+// or programmatically:
+//
+//   const tracer = createTracer();
+//   tracer.install();
+//   ...
+//   tracer.uninstall();
+//   tracer.printReport();
+//
+// Instrumented sources:
+//   setTimeout / setInterval        -> timers phase
+//   fs callbacks                    -> poll phase
+//   setImmediate                    -> check phase
+//   process.nextTick                -> nextTick queue
+//   promise reactions (async_hooks) -> microtask queue
+//   queueMicrotask                  -> microtask queue
+//
+// nextTick and microtask callbacks have no phase of their own: they run right
+// after whatever macrotask callback (or the main script) was running, so they
+// are attributed to that phase.
+//
+// Node does not expose the loop iteration, so ticks are inferred: the phases
+// run in the order timers -> poll -> check, and whenever a callback runs in an
+// earlier phase than the previous one, a new iteration must have started.
+
+const asyncHooks = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
+const timers = require('timers');
+const { performance } = require('perf_hooks');
+const { colorize } = require('./format');
+
+const SCRIPT = 'script execution';
+const TIMERS = 'timers phase';
+const POLL = 'poll phase';
+const CHECK = 'check phase';
+const NEXT_TICK = 'nextTick queue';
+const MICROTASK = 'microtask queue';
+
+const PHASE_ORDER = [TIMERS, POLL, CHECK];
+
+// fs functions that take a callback but are not one-shot I/O operations.
+const FS_SKIP = new Set(['watch', 'watchFile', 'unwatchFile']);
+
+// Where was this scheduled from? Returns "file:line" of the code that called the
+// scheduling API, or null when Node scheduled it internally (e.g. console.log
+// flushing a stream), so that only the script's own callbacks are traced.
+function callsite() {
+  const { prepareStackTrace, stackTraceLimit } = Error;
+  Error.prepareStackTrace = (_, frames) => frames;
+  Error.stackTraceLimit = 20;
+  const holder = {};
+  Error.captureStackTrace(holder, callsite);
+  const frames = holder.stack;
+  Error.prepareStackTrace = prepareStackTrace;
+  Error.stackTraceLimit = stackTraceLimit;
+
+  // Skip the tracer, the async_hooks machinery and native frames such as Promise.then.
+  const frame = frames.find((f) => {
+    const file = f.getFileName();
+    return file && file !== __filename && file !== 'node:internal/async_hooks';
+  });
+  const file = frame && frame.getFileName();
+  if (!file || !path.isAbsolute(file)) return null;
+  return `${path.relative(process.cwd(), file)}:${frame.getLineNumber()}`;
+}
+
+function createTracer() {
+  const events = [];
+  const originals = {};
+  const pendingPromises = new Map();
+  let installed = false;
+  let origin = 0;
+  let nextId = 1;
+  let tick = 0;
+  let currentPhase = SCRIPT;
+  let currentEvent = null;
+
+  const now = () => performance.now() - origin;
+
+  // Called at scheduling time; begin() turns the result into an event when the callback runs.
+  const schedule = (api, queue, fn, where) => ({
+    api,
+    queue,
+    name: (fn && fn.name) || 'anonymous',
+    callsite: where,
+    parentId: currentEvent ? currentEvent.id : null,
+    scheduledAt: now(),
+  });
+
+  const enterPhase = (queue) => {
+    if (queue === NEXT_TICK || queue === MICROTASK) return;
+    if (PHASE_ORDER.indexOf(queue) < PHASE_ORDER.indexOf(currentPhase)) {
+      tick++;
+    } else if (currentPhase === SCRIPT) {
+      tick = 1;
+    }
+    currentPhase = queue;
+  };
+
+  const begin = (scheduled) => {
+    enterPhase(scheduled.queue);
+    const event = {
+      id: nextId++,
+      label: `${scheduled.api} ${scheduled.name} @ ${scheduled.callsite || '<unknown>'}`,
+      ...scheduled,
+      phase: currentPhase,
+      tick,
+      startedAt: now(),
+      endedAt: null,
+    };
+    events.push(event);
+    const parent = currentEvent;
+    currentEvent = event;
+    return () => {
+      event.endedAt = now();
+      currentEvent = parent;
+    };
+  };
+
+  const wrap = (scheduled, fn) => function traced(...args) {
+    const end = begin(scheduled);
+    try {
+      return fn.apply(this, args);
+    } finally {
+      end();
+    }
+  };
+
+  // Originals carry symbol properties such as util.promisify.custom (setTimeout,
+  // fs.exists), which util.promisify() looks for: the wrappers need them too.
+  const copySymbols = (from, to) => {
+    for (const symbol of Object.getOwnPropertySymbols(from)) {
+      Object.defineProperty(to, symbol, Object.getOwnPropertyDescriptor(from, symbol));
+    }
+    return to;
+  };
+
+  const patchTimer = (name, queue) => {
+    originals[name] = globalThis[name];
+    const original = originals[name];
+    const patched = function (fn, ...rest) {
+      const where = typeof fn === 'function' && callsite();
+      if (!where) return original.call(this, fn, ...rest);
+      let scheduled = schedule(name, queue, fn, where);
+      if (name !== 'setInterval') return original.call(this, wrap(scheduled, fn), ...rest);
+
+      // Every interval run is its own event, scheduled when the previous one ran.
+      return original.call(this, function traced(...args) {
+        const current = scheduled;
+        scheduled = schedule(name, queue, fn, where);
+        return wrap(current, fn).apply(this, args);
+      }, ...rest);
+    };
+    copySymbols(original, patched);
+    globalThis[name] = patched;
+    timers[name] = patched;
+  };
+
+  const patchFs = () => {
+    originals.fs = {};
+    for (const name of Object.keys(fs)) {
+      const original = fs[name];
+      if (typeof original !== 'function' || FS_SKIP.has(name) || name.endsWith('Sync') ||
+          name.startsWith('create') || /^[A-Z]/.test(name)) {
+        continue;
+      }
+      originals.fs[name] = original;
+      fs[name] = copySymbols(original, function (...args) {
+        const last = args.length - 1;
+        const where = typeof args[last] === 'function' && callsite();
+        if (where) {
+          args[last] = wrap(schedule(`fs.${name}`, POLL, args[last], where), args[last]);
+        }
+        return original.apply(this, args);
+      });
+    }
+  };
+
+  // Promise reactions cannot be wrapped from the outside, so we watch them
+  // with async_hooks instead: `init` fires when `.then()` creates the derived
+  // promise, `before`/`after` around running its reaction. Promises created
+  // purely inside Node internals have no user callsite and are ignored.
+  const promiseHook = asyncHooks.createHook({
+    init(asyncId, type) {
+      if (type !== 'PROMISE') return;
+      const where = callsite();
+      if (where) {
+        pendingPromises.set(asyncId, schedule('promise', MICROTASK, null, where));
+      }
+    },
+    before(asyncId) {
+      const scheduled = pendingPromises.get(asyncId);
+      if (scheduled) {
+        pendingPromises.set(asyncId, begin(scheduled));
+      }
+    },
+    after(asyncId) {
+      const end = pendingPromises.get(asyncId);
+      if (typeof end === 'function') {
+        pendingPromises.delete(asyncId);
+        end();
+      }
+    },
+    destroy(asyncId) {
+      // Promises that never ran a reaction (e.g. `Promise.resolve()` itself).
+      pendingPromises.delete(asyncId);
+    },
+  });
+
+  return {
+    events,
+
+    // Where the code calling this runs right now: the queue of the traced
+    // callback (TIMERS, CHECK, NEXT_TICK, ...), or SCRIPT outside of any.
+    currentQueue() {
+      return currentEvent ? currentEvent.queue : SCRIPT;
+    },
+
+    install() {
+      if (installed) return this;
+      installed = true;
+      origin = performance.now();
+
+      patchTimer('setTimeout', TIMERS);
+      patchTimer('setInterval', TIMERS);
+      patchTimer('setImmediate', CHECK);
+
+      originals.nextTick = process.nextTick;
+      process.nextTick = (fn, ...args) => {
+        const where = typeof fn === 'function' && callsite();
+        if (!where) return originals.nextTick(fn, ...args);
+        return originals.nextTick(wrap(schedule('process.nextTick', NEXT_TICK, fn, where), fn), ...args);
+      };
+
+      originals.queueMicrotask = globalThis.queueMicrotask;
+      globalThis.queueMicrotask = (fn) => {
+        const where = typeof fn === 'function' && callsite();
+        if (!where) return originals.queueMicrotask(fn);
+        return originals.queueMicrotask(wrap(schedule('queueMicrotask', MICROTASK, fn, where), fn));
+      };
+
+      patchFs();
+      promiseHook.enable();
+      return this;
+    },
+
+    uninstall() {
+      if (!installed) return this;
+      installed = false;
+      promiseHook.disable();
+      for (const name of ['setTimeout', 'setInterval', 'setImmediate']) {
+        globalThis[name] = originals[name];
+        timers[name] = originals[name];
+      }
+      process.nextTick = originals.nextTick;
+      globalThis.queueMicrotask = originals.queueMicrotask;
+      Object.assign(fs, originals.fs);
+      pendingPromises.clear();
+      return this;
+    },
+
+    printReport() {
+      const labelWidth = Math.max(8, ...events.map((e) => e.label.length));
+      const line = `|------|-${'-'.repeat(labelWidth)}-|-----------------|------------------|-----------|`;
+      console.log(`| Tick | ${'Callback'.padEnd(labelWidth)} | Queue           | Phase            | Time (ms) |`);
+      console.log(line);
+      for (const event of events) {
+        const row = `| ${String(event.tick).padStart(4)} | ${event.label.padEnd(labelWidth)} | ` +
+          `${event.queue.padEnd(15)} | ${event.phase.padEnd(16)} | ${event.startedAt.toFixed(3).padStart(9)} |`;
+        console.log(colorize(row, event.queue));
+      }
+    },
+  };
+}
+
+module.exports = { createTracer, SCRIPT, TIMERS, POLL, CHECK, NEXT_TICK, MICROTASK };
+
+// CLI: node tracer.js [--json <file>] [--chrome <file>] <script> [args...]
+if (require.main === module) {
+  const { toJSON, toChromeTrace } = require('./trace-export');
+  const argv = process.argv.slice(2);
+  const outputs = {};
+  while (argv[0] === '--json' || argv[0] === '--chrome') {
+    const [flag, file] = argv.splice(0, 2);
+    outputs[flag.slice(2)] = file;
+  }
+  const [script, ...args] = argv;
+  if (!script || Object.values(outputs).includes(undefined)) {
+    console.error('Usage: node tracer.js [--json <file>] [--chrome <file>] <script> [args...]');
+    process.exit(1);
+  }
+  const scriptPath = path.resolve(script);
+  const scriptName = path.relative(process.cwd(), scriptPath);
+  process.argv = [process.argv[0], scriptPath, ...args];
+
+  const tracer = createTracer().install();
+  process.on('exit', () => {
+    tracer.uninstall();
+    console.log(`\nEvent loop trace of ${scriptName}:\n`);
+    tracer.printReport();
+    if (outputs.json) {
+      fs.writeFileSync(outputs.json, JSON.stringify(toJSON(tracer.events, { script: scriptName }), null, 2));
+      console.log(`\nJSON trace written to ${outputs.json}`);
+    }
+    if (outputs.chrome) {
+      fs.writeFileSync(outputs.chrome, JSON.stringify(toChromeTrace(tracer.events, { script: scriptName })));
+      console.log(`Chrome trace written to ${outputs.chrome} (open it in chrome://tracing or ui.perfetto.dev)`);
+    }
+  });
+  require(scriptPath);
+}
@@ -0,0 +1,46 @@
+// URL-safe Base64 (RFC 4648 §5), as used by JWTs and other web protocols.
+//
+// Standard Base64 uses '+' and '/' and pads with '='. None of those survive a
+// URL unescaped, so base64url swaps '+' for '-', '/' for '_' and drops the
+// padding. Decoding has to put the padding back: Base64 works in groups of four
+// characters, so a length that leaves a remainder of 1 can never be valid.
+
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]*$/;
+
+// Accepts a Buffer, a typed array or a string (encoded with `encoding`).
+function encode(input, encoding = 'utf8') {
+    let buf;
+    if (typeof input === 'string') {
+        buf = Buffer.from(input, encoding);
+    } else if (input instanceof Uint8Array) {
+        buf = Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+    } else {
+        throw new TypeError(`Expected a string, Buffer or Uint8Array, got ${typeof input}`);
+    }
+    return buf.toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+// Returns the decoded bytes. Padded input is accepted as well.
+function decode(str) {
+    if (typeof str !== 'string') {
+        throw new TypeError(`Expected a string, got ${typeof str}`);
+    }
+    const unpadded = str.replace(/={1,2}$/, '');
+    if (!BASE64URL_PATTERN.test(unpadded) || unpadded.length % 4 === 1) {
+        throw new TypeError('Invalid base64url string');
+    }
+    const base64 = unpadded
+        .replace(/-/g, '+')
+        .replace(/_/g, '/')
+        .padEnd(Math.ceil(unpadded.length / 4) * 4, '=');
+    return Buffer.from(base64, 'base64');
+}
+
+function decodeToString(str, encoding = 'utf8') {
+    return decode(str).toString(encoding);
+}
+
+module.exports = { encode, decode, decodeToString };
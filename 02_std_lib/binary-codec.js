@@ -0,0 +1,386 @@
+// A small declarative codec for binary protocols.
+//
+// Instead of hand-writing `writeUInt32BE(value, 0)` / `readFloatBE(12)` and
+// keeping the offsets in sync by hand, describe the layout once:
+//
+//   const codec = createCodec([
+//       { name: 'id', type: 'uint32' },
+//       { name: 'label', type: 'string', lengthType: 'uint8' },
+//       { name: 'samples', type: 'array', of: 'float', lengthType: 'uint16' },
+//       { name: 'origin', type: 'struct', fields: [{ name: 'x', type: 'int16' }, { name: 'y', type: 'int16' }] },
+//       { name: 'note', type: 'string', length: 8, optional: true },
+//   ]);
+//
+//   const buf = codec.encode(obj);
+//   const obj2 = codec.decode(buf);
+//
+// Every field defaults to Big Endian; pass `endian: 'LE'` per field or for the
+// whole codec. Strings and byte arrays are either fixed-size (`length`) or
+// length-prefixed (`lengthType`, default uint16). Optional fields are preceded
+// by a one-byte presence flag.
+//
+// Each compiled type has three operations:
+// - measure(value, offset, field): validates the value and returns its size,
+// - write(buf, value, offset): writes an already measured value,
+// - read(buf, offset, field): returns { value, offset }.
+// Encoding always measures first, so a bad value never leaves a half-written
+// buffer behind and errors point at the exact offset of the offending field.
+
+class CodecError extends Error {
+    constructor(message, field, offset) {
+        super(`${message} (field "${field}" at offset ${offset})`);
+        this.name = 'CodecError';
+        this.field = field;
+        this.offset = offset;
+    }
+}
+
+// Numeric types map straight onto the Buffer read/write methods.
+const NUMBERS = {
+    uint8: { method: 'UInt8', size: 1, min: 0, max: 0xff },
+    int8: { method: 'Int8', size: 1, min: -0x80, max: 0x7f },
+    uint16: { method: 'UInt16', size: 2, min: 0, max: 0xffff },
+    int16: { method: 'Int16', size: 2, min: -0x8000, max: 0x7fff },
+    uint32: { method: 'UInt32', size: 4, min: 0, max: 0xffffffff },
+    int32: { method: 'Int32', size: 4, min: -0x80000000, max: 0x7fffffff },
+    uint64: { method: 'BigUInt64', size: 8, min: 0n, max: 0xffffffffffffffffn, bigint: true },
+    int64: { method: 'BigInt64', size: 8, min: -0x8000000000000000n, max: 0x7fffffffffffffffn, bigint: true },
+    float: { method: 'Float', size: 4, float: true },
+    double: { method: 'Double', size: 8, float: true },
+};
+
+const LENGTH_TYPES = ['uint8', 'uint16', 'uint32'];
+
+function ensureAvailable(buf, offset, size, field) {
+    if (offset + size > buf.length) {
+        throw new CodecError(`Unexpected end of buffer: need ${size} byte(s), ${Math.max(buf.length - offset, 0)} left`, field, offset);
+    }
+}
+
+function compileNumber(type, endian) {
+    const spec = NUMBERS[type];
+    const suffix = spec.size === 1 ? '' : endian;
+    const read = `read${spec.method}${suffix}`;
+    const write = `write${spec.method}${suffix}`;
+
+    return {
+        fixedSize: spec.size,
+        measure(value, offset, field) {
+            if (spec.bigint) {
+                if (typeof value !== 'bigint' && !Number.isSafeInteger(value)) {
+                    throw new CodecError(`Expected a BigInt or safe integer for ${type}, got ${typeof value === 'number' ? value : typeof value}`, field, offset);
+                }
+                value = BigInt(value);
+            } else if (typeof value !== 'number' || Number.isNaN(value)) {
+                throw new CodecError(`Expected a number for ${type}, got ${typeof value}`, field, offset);
+            } else if (!spec.float && !Number.isInteger(value)) {
+                throw new CodecError(`Expected an integer for ${type}, got ${value}`, field, offset);
+            }
+            if (!spec.float && (value < spec.min || value > spec.max)) {
+                throw new CodecError(`Value ${value} is out of range for ${type} [${spec.min}, ${spec.max}]`, field, offset);
+            }
+            return spec.size;
+        },
+        write(buf, value, offset) {
+            buf[write](spec.bigint ? BigInt(value) : value, offset);
+            return offset + spec.size;
+        },
+        read(buf, offset, field) {
+            ensureAvailable(buf, offset, spec.size, field);
+            return { value: buf[read](offset), offset: offset + spec.size };
+        },
+    };
+}
+
+// Strings, byte arrays and arrays are either fixed-size (`length`) or carry a
+// numeric length prefix (`lengthType`). Returns null for the fixed-size case.
+function compilePrefix(def, endian, field) {
+    if (def.length !== undefined) {
+        if (!Number.isInteger(def.length) || def.length < 0) {
+            throw new TypeError(`Field "${field}": length must be a non-negative integer`);
+        }
+        return null;
+    }
+    const lengthType = def.lengthType || 'uint16';
+    if (!LENGTH_TYPES.includes(lengthType)) {
+        throw new TypeError(`Field "${field}": lengthType must be one of ${LENGTH_TYPES.join(', ')}`);
+    }
+    const codec = compileNumber(lengthType, endian);
+    return {
+        measure(length, offset, field) {
+            if (length > NUMBERS[lengthType].max) {
+                throw new CodecError(`Length ${length} does not fit into a ${lengthType} prefix`, field, offset);
+            }
+            return codec.fixedSize;
+        },
+        write: codec.write,
+        read: codec.read,
+    };
+}
+
+function compileBytes(def, endian, field, toBuffer, fromBuffer) {
+    const prefix = compilePrefix(def, endian, field);
+
+    return {
+        fixedSize: prefix ? null : def.length,
+        measure(value, offset, field) {
+            const length = toBuffer(value, field, offset).length;
+            if (prefix) {
+                return prefix.measure(length, offset, field) + length;
+            }
+            if (length > def.length) {
+                throw new CodecError(`Value is ${length} byte(s), but the field holds only ${def.length}`, field, offset);
+            }
+            return def.length;
+        },
+        write(buf, value, offset) {
+            const bytes = toBuffer(value);
+            if (prefix) {
+                offset = prefix.write(buf, bytes.length, offset);
+                bytes.copy(buf, offset);
+                return offset + bytes.length;
+            }
+            bytes.copy(buf, offset);
+            // Pad fixed-size fields with zeros so no stale memory leaks out.
+            buf.fill(0, offset + bytes.length, offset + def.length);
+            return offset + def.length;
+        },
+        read(buf, offset, field) {
+            let length = def.length;
+            if (prefix) {
+                ({ value: length, offset } = prefix.read(buf, offset, field));
+            }
+            ensureAvailable(buf, offset, length, field);
+            const bytes = buf.subarray(offset, offset + length);
+            return { value: fromBuffer(bytes, !prefix), offset: offset + length };
+        },
+    };
+}
+
+function compileString(def, endian, field) {
+    const encoding = def.encoding || 'utf8';
+    if (!Buffer.isEncoding(encoding)) {
+        throw new TypeError(`Field "${field}": unknown encoding "${encoding}"`);
+    }
+    return compileBytes(def, endian, field,
+        (value, field, offset) => {
+            if (typeof value !== 'string') {
+                throw new CodecError(`Expected a string, got ${typeof value}`, field, offset);
+            }
+            return Buffer.from(value, encoding);
+        },
+        (bytes, padded) => {
+            // Fixed-size strings are zero padded; strip the padding on the way out.
+            const end = padded ? bytes.indexOf(0) : -1;
+            return bytes.toString(encoding, 0, end === -1 ? bytes.length : end);
+        });
+}
+
+function compileRaw(def, endian, field) {
+    return compileBytes(def, endian, field,
+        (value, field, offset) => {
+            if (!(value instanceof Uint8Array)) {
+                throw new CodecError(`Expected a Buffer or Uint8Array, got ${typeof value}`, field, offset);
+            }
+            return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+        },
+        // Copy, so the decoded value does not alias the input buffer.
+        (bytes) => Buffer.from(bytes));
+}
+
+function compileArray(def, endian, field) {
+    if (!def.of) {
+        throw new TypeError(`Field "${field}": arrays need an element type in "of"`);
+    }
+    const element = compileType(def.of, endian, `${field}[]`);
+    const prefix = compilePrefix(def, endian, field);
+
+    return {
+        fixedSize: !prefix && element.fixedSize !== null ? element.fixedSize * def.length : null,
+        measure(value, offset, field) {
+            if (!Array.isArray(value)) {
+                throw new CodecError(`Expected an array, got ${typeof value}`, field, offset);
+            }
+            let size = 0;
+            if (prefix) {
+                size += prefix.measure(value.length, offset, field);
+            } else if (value.length !== def.length) {
+                throw new CodecError(`Expected exactly ${def.length} item(s), got ${value.length}`, field, offset);
+            }
+            value.forEach((item, i) => {
+                size += element.measure(item, offset + size, `${field}[${i}]`);
+            });
+            return size;
+        },
+        write(buf, value, offset) {
+            if (prefix) {
+                offset = prefix.write(buf, value.length, offset);
+            }
+            for (const item of value) {
+                offset = element.write(buf, item, offset);
+            }
+            return offset;
+        },
+        read(buf, offset, field) {
+            let length = def.length;
+            if (prefix) {
+                ({ value: length, offset } = prefix.read(buf, offset, field));
+            }
+            const items = [];
+            for (let i = 0; i < length; i++) {
+                let item;
+                ({ value: item, offset } = element.read(buf, offset, `${field}[${i}]`));
+                items.push(item);
+            }
+            return { value: items, offset };
+        },
+    };
+}
+
+function compileStruct(fields, endian, path) {
+    const where = path ? `Field "${path}"` : 'Schema';
+    if (!Array.isArray(fields) || fields.length === 0) {
+        throw new TypeError(`${where}: a struct needs a non-empty "fields" array`);
+    }
+    const names = new Set();
+    const compiled = fields.map((def) => {
+        if (!def || typeof def.name !== 'string' || def.name === '') {
+            throw new TypeError(`${where}: every field needs a name`);
+        }
+        if (names.has(def.name)) {
+            throw new TypeError(`${where}: duplicate field name "${def.name}"`);
+        }
+        names.add(def.name);
+        const name = path ? `${path}.${def.name}` : def.name;
+        return {
+            key: def.name,
+            optional: Boolean(def.optional),
+            codec: compileType(def, def.endian || endian, name),
+        };
+    });
+
+    const isPresent = (value) => value !== undefined && value !== null;
+    // Paths are built at runtime so array items report e.g. "points[2].x".
+    const fieldPath = (parent, f) => (parent ? `${parent}.${f.key}` : f.key);
+
+    return {
+        fixedSize: compiled.every((f) => !f.optional && f.codec.fixedSize !== null)
+            ? compiled.reduce((acc, f) => acc + f.codec.fixedSize, 0)
+            : null,
+        measure(value, offset, field) {
+            if (value === null || typeof value !== 'object') {
+                throw new CodecError(`Expected an object, got ${value === null ? 'null' : typeof value}`, field || '<root>', offset);
+            }
+            let size = 0;
+            for (const f of compiled) {
+                const fieldValue = value[f.key];
+                if (f.optional) {
+                    size += 1;
+                    if (!isPresent(fieldValue)) continue;
+                } else if (fieldValue === undefined) {
+                    throw new CodecError('Missing required field', fieldPath(field, f), offset + size);
+                }
+                size += f.codec.measure(fieldValue, offset + size, fieldPath(field, f));
+            }
+            return size;
+        },
+        write(buf, value, offset) {
+            for (const f of compiled) {
+                const fieldValue = value[f.key];
+                if (f.optional) {
+                    const present = isPresent(fieldValue);
+                    offset = buf.writeUInt8(present ? 1 : 0, offset);
+                    if (!present) continue;
+                }
+                offset = f.codec.write(buf, fieldValue, offset);
+            }
+            return offset;
+        },
+        read(buf, offset, field) {
+            const value = {};
+            for (const f of compiled) {
+                const name = fieldPath(field, f);
+                if (f.optional) {
+                    ensureAvailable(buf, offset, 1, name);
+                    const flag = buf.readUInt8(offset);
+                    if (flag > 1) {
+                        throw new CodecError(`Invalid presence flag ${flag}`, name, offset);
+                    }
+                    offset++;
+                    if (flag === 0) continue;
+                }
+                ({ value: value[f.key], offset } = f.codec.read(buf, offset, name));
+            }
+            return { value, offset };
+        },
+    };
+}
+
+function compileType(def, endian, field) {
+    if (typeof def === 'string') {
+        def = { type: def };
+    }
+    if (endian !== 'BE' && endian !== 'LE') {
+        throw new TypeError(`Field "${field}": endian must be "BE" or "LE"`);
+    }
+    if (NUMBERS[def.type]) {
+        return compileNumber(def.type, endian);
+    }
+
+    switch (def.type) {
+        case 'string':
+            return compileString(def, endian, field);
+        case 'bytes':
+            return compileRaw(def, endian, field);
+        case 'array':
+            return compileArray(def, endian, field);
+        case 'struct':
+            return compileStruct(def.fields, def.endian || endian, field);
+        default:
+            throw new TypeError(`Field "${field}": unknown type "${def.type}"`);
+    }
+}
+
+function createCodec(fields, { endian = 'BE' } = {}) {
+    const root = compileStruct(fields, endian, '');
+
+    return {
+        // Size in bytes when every message has the same layout, otherwise null.
+        fixedSize: root.fixedSize,
+
+        // Validates `obj` and returns its encoded size in bytes.
+        sizeOf(obj) {
+            return root.measure(obj, 0, '');
+        },
+
+        encode(obj) {
+            const buf = Buffer.alloc(root.measure(obj, 0, ''));
+            root.write(buf, obj, 0);
+            return buf;
+        },
+
+        // Writes `obj` into an existing buffer and returns the offset after it.
+        write(obj, buf, offset = 0) {
+            const size = root.measure(obj, offset, '');
+            if (offset + size > buf.length) {
+                throw new CodecError(`Target buffer too small: need ${size} byte(s), ${buf.length - offset} left`, '<root>', offset);
+            }
+            return root.write(buf, obj, offset);
+        },
+
+        // Reads one message starting at `offset`, returning it with the offset after it.
+        read(buf, offset = 0) {
+            return root.read(buf, offset, '');
+        },
+
+        decode(buf) {
+            const { value, offset } = root.read(buf, 0, '');
+            if (offset !== buf.length) {
+                throw new CodecError(`${buf.length - offset} unexpected trailing byte(s)`, '<root>', offset);
+            }
+            return value;
+        },
+    };
+}
+
+module.exports = { createCodec, CodecError };
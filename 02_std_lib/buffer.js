@@ -40,28 +40,39 @@ console.log('--- Example 2: Advanced Binary Data Manipulation ---');
 // - 4 bytes: Sensor ID (UInt32 Big Endian)
 // - 8 bytes: Timestamp (BigInt64 Big Endian)
 // - 4 bytes: Temperature (Float Big Endian)
-
-const packetSize = 4 + 8 + 4;
-const packetBuffer = Buffer.alloc(packetSize);
+//
+// Instead of hard-coding `writeUInt32BE(value, 0)` and friends, the layout is
+// declared once in `sensor-packet.js` using the schema-driven `binary-codec.js`,
+// which computes the offsets and validates every field for us.
+const { sensorPacket } = require('./sensor-packet');
+const { CodecError } = require('./binary-codec');
 
 const sensorId = 101;
 const timestamp = BigInt(Date.now());
 const temperature = 23.5;
 
-// Write data to the buffer at specific offsets
 console.log(`Encoding packet: ID=${sensorId}, Time=${timestamp}, Temp=${temperature}`);
-packetBuffer.writeUInt32BE(sensorId, 0);
-packetBuffer.writeBigInt64BE(timestamp, 4);
-packetBuffer.writeFloatBE(temperature, 12);
+console.log('Packet size (bytes):', sensorPacket.fixedSize);
+const packetBuffer = sensorPacket.encode({ sensorId, timestamp, temperature });
 
 console.log('Encoded Packet (as hex):', packetBuffer.toString('hex'));
 
 // Now, let's read the data back from the buffer
-const decodedSensorId = packetBuffer.readUInt32BE(0);
-const decodedTimestamp = packetBuffer.readBigInt64BE(4);
-const decodedTemperature = packetBuffer.readFloatBE(12);
+const {
+    sensorId: decodedSensorId,
+    timestamp: decodedTimestamp,
+    temperature: decodedTemperature,
+} = sensorPacket.decode(packetBuffer);
 
 console.log(`Decoded Packet: ID=${decodedSensorId}, Time=${new Date(Number(decodedTimestamp))}, Temp=${decodedTemperature.toFixed(1)}`);
+
+// Invalid data is rejected with an error naming the field and its offset.
+try {
+    sensorPacket.encode({ sensorId: -1, timestamp, temperature });
+} catch (err) {
+    if (!(err instanceof CodecError)) throw err;
+    console.log('Rejected packet:', err.message);
+}
 console.log('\n');
 
 
@@ -139,20 +150,92 @@ const base64String = Buffer.from(jsonString).toString('base64');
 console.log('Standard Base64:', base64String);
 
 // Standard Base64 includes characters ('+', '/', '=') that are not URL-safe.
-// Let's make it safe for URLs.
-const base64UrlSafe = base64String
-    .replace(/\+/g, '-') // Replace '+' with '-'
-    .replace(/\//g, '_') // Replace '/' with '_'
-    .replace(/=/g, '');   // Remove '=' padding
+// `base64url.js` swaps them for '-' and '_', drops the padding, and restores
+// the padding again when decoding.
+const base64url = require('./base64url');
 
+const base64UrlSafe = base64url.encode(jsonString);
 console.log('URL-Safe Base64:', base64UrlSafe);
 
 // How to decode it back
-const originalBase64 = base64UrlSafe
-    .replace(/-/g, '+')
-    .replace(/_/g, '/');
+const decodedObject = JSON.parse(base64url.decodeToString(base64UrlSafe));
+console.log('Decoded Object:', decodedObject);
 
-const decodedJson = Buffer.from(originalBase64, 'base64').toString('utf8');
-const decodedObject = JSON.parse(decodedJson);
+// The same building block gives us JSON Web Tokens: base64url(header) + '.' +
+// base64url(payload) + '.' + base64url(HMAC-SHA256 signature).
+const jwt = require('./jwt');
+const jwtSecret = crypto.randomBytes(32);
 
-console.log('Decoded Object:', decodedObject);
+const token = jwt.sign(complexDataObject, jwtSecret, { expiresIn: 3600 });
+console.log('Signed JWT:', token);
+
+// The token was issued in 2023 and expired an hour later...
+try {
+    jwt.verify(token, jwtSecret);
+} catch (err) {
+    if (!(err instanceof jwt.JwtError)) throw err;
+    console.log(`${err.name}: ${err.message}`);
+}
+
+// ...so verify it as of ten minutes after it was issued.
+const issuedAtMs = complexDataObject.iat * 1000;
+console.log('Verified Payload:', jwt.verify(token, jwtSecret, { now: issuedAtMs + 10 * 60 * 1000 }));
+
+// Tampering with the payload (here: escalating the roles) breaks the signature.
+const [jwtHeader, , jwtSignature] = token.split('.');
+const forgedPayload = base64url.encode(JSON.stringify({ ...complexDataObject, roles: ['superuser'] }));
+try {
+    jwt.verify(`${jwtHeader}.${forgedPayload}.${jwtSignature}`, jwtSecret, { now: issuedAtMs });
+} catch (err) {
+    if (!(err instanceof jwt.JwtError)) throw err;
+    console.log(`${err.name}: ${err.message}`);
+}
+console.log('\n');
+
+
+// -----------------------------------------------------------------------------
+// Example 6: Decoding a Stream of Binary Packets
+//
+// "Cutting Edge" takeaway: Real sockets don't deliver whole packets. A chunk
+// may end in the middle of a packet or contain several of them. A framing
+// Transform stream reassembles the bytes, drops corrupted data and emits
+// decoded objects, so it plugs straight into `pipeline()`.
+// -----------------------------------------------------------------------------
+console.log('--- Example 6: Decoding a Stream of Binary Packets ---');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { FrameDecoder, FrameError, encodeFrame } = require('./frame-decoder');
+
+const frames = [101, 102, 103].map((id, i) => encodeFrame(
+    sensorPacket.encode({ sensorId: id, timestamp: BigInt(Date.now()), temperature: 20 + i }),
+    'magic-crc'
+));
+// Corrupt a byte in the middle frame, then cut the stream into odd-sized chunks.
+frames[1][10] ^= 0xff;
+const wire = Buffer.concat([Buffer.from('noise'), ...frames]);
+const wireChunks = [];
+for (let offset = 0; offset < wire.length; offset += 7) {
+    wireChunks.push(wire.subarray(offset, offset + 7));
+}
+
+const decoder = new FrameDecoder({ mode: 'magic-crc' });
+decoder.on('resync', ({ skipped, reason }) => console.log(`Resync: skipped ${skipped} byte(s) (${reason})`));
+
+pipeline(
+    Readable.from(wireChunks),
+    decoder,
+    new Writable({
+        objectMode: true,
+        write(packet, encoding, callback) {
+            console.log(`Received packet: ID=${packet.sensorId}, Temp=${packet.temperature.toFixed(1)}`);
+            callback();
+        },
+    })
+).then(() => {
+    console.log('Decoder stats:', decoder.stats);
+}).catch((err) => {
+    // A stream that can't be framed (cut off mid-frame, oversized) fails the
+    // whole pipeline with a FrameError.
+    console.log(err instanceof FrameError ? `${err.name}: ${err.message}` : err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+const readline = require('readline');
+
+// Running external commands without a shell.
+//
+// `exec()` hands its command line to /bin/sh, so a value like "x; rm -rf ~"
+// becomes two commands. run() always spawns the program directly: every
+// argument reaches it as-is, whatever characters it contains.
+//
+//   const { stdout } = await run('git', ['log', '-1', '--format=%s', branch]);
+//   const { stdout } = await cmd`git log -1 --format=%s ${branch}`;
+//
+// - `timeout` ms: the command gets SIGTERM, then SIGKILL if it is still running
+//   `killTimeout` ms later; the promise rejects with a CommandTimeoutError
+// - stdout/stderr are buffered up to `maxBuffer` bytes each (the rest is
+//   dropped and `truncated` is set), and streamed line by line to
+//   `onStdout(line)` / `onStderr(line)` as they arrive
+// - `input` (a string or Buffer) is written to the command's stdin
+// - the result is { command, exitCode, signal, stdout, stderr, truncated, duration };
+//   a non-zero exit code or a signal rejects with a CommandError carrying it
+//
+// In the cmd`...` form, the static text is split on whitespace and each
+// interpolated value becomes (part of) one argument; an array becomes one
+// argument per element, so it must stand alone (`--x=${array}` is an error).
+// Quotes in the static text are NOT interpreted, as there is no shell:
+// interpolate values that contain spaces.
+//
+// No shell also means no shell injection, but the program itself still reads
+// its arguments: an untrusted value like '--output=/etc/passwd' is taken as an
+// option. Put `--` before such values where the program supports it
+// (cmd`git log -- ${path}`), or check that they don't start with '-'.
+
+class CommandError extends Error {
+    constructor(message, result, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.result = result;
+        this.command = result.command;
+        this.exitCode = result.exitCode;
+        this.signal = result.signal;
+        this.stdout = result.stdout;
+        this.stderr = result.stderr;
+    }
+}
+
+class CommandTimeoutError extends CommandError {
+    constructor(message, result, timeout) {
+        super(message, result, 'ETIMEDOUT');
+        this.timeout = timeout;
+    }
+}
+
+// Renders a command for messages and logs, quoting arguments the way a POSIX
+// shell would read them back. Display only: run() never goes through a shell.
+function formatCommand(command, args = []) {
+    return [command, ...args].map((arg) => {
+        const text = String(arg);
+        return /^[\w@%+=:,./-]+$/.test(text) ? text : `'${text.replace(/'/g, `'\\''`)}'`;
+    }).join(' ');
+}
+
+// Keeps the first `limit` bytes of a stream.
+function createCollector(limit) {
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+    return {
+        add(chunk) {
+            if (size + chunk.length > limit) {
+                truncated = true;
+                chunk = chunk.subarray(0, limit - size);
+            }
+            chunks.push(chunk);
+            size += chunk.length;
+        },
+        get truncated() {
+            return truncated;
+        },
+        toString: () => Buffer.concat(chunks).toString('utf8'),
+    };
+}
+
+function isDirectory(dir) {
+    try {
+        return fs.statSync(dir).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
+
+function run(command, args = [], { cwd, env, input, timeout = 0, killTimeout = 2000, maxBuffer = 10 * 1024 * 1024, onStdout, onStderr } = {}) {
+    if (!Array.isArray(args)) {
+        return Promise.reject(new TypeError(`run() takes its arguments as an array, got ${typeof args}; it never parses a command line`));
+    }
+    const commandLine = formatCommand(command, args);
+
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const child = spawn(command, args.map(String), {
+            cwd,
+            env,
+            shell: false,
+            stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+        });
+        const stdout = createCollector(maxBuffer);
+        const stderr = createCollector(maxBuffer);
+        let timedOut = false;
+        let timeoutTimer = null;
+        let killTimer = null;
+        let settled = false;
+
+        child.stdout.on('data', (chunk) => stdout.add(chunk));
+        child.stderr.on('data', (chunk) => stderr.add(chunk));
+        if (onStdout) readline.createInterface({ input: child.stdout, crlfDelay: Infinity }).on('line', onStdout);
+        if (onStderr) readline.createInterface({ input: child.stderr, crlfDelay: Infinity }).on('line', onStderr);
+        if (input !== undefined) {
+            // A command that exits without reading its input closes the pipe.
+            child.stdin.on('error', (error) => {
+                if (error.code !== 'EPIPE') child.emit('error', error);
+            });
+            child.stdin.end(input);
+        }
+
+        // SIGTERM first, so the command can clean up; SIGKILL if it takes too long.
+        if (timeout > 0) {
+            timeoutTimer = setTimeout(() => {
+                timedOut = true;
+                child.kill('SIGTERM');
+                killTimer = setTimeout(() => child.kill('SIGKILL'), killTimeout);
+            }, timeout);
+        }
+
+        const result = (exitCode, signal) => ({
+            command: commandLine,
+            exitCode,
+            signal,
+            stdout: stdout.toString(),
+            stderr: stderr.toString(),
+            truncated: stdout.truncated || stderr.truncated,
+            duration: Date.now() - started,
+        });
+        const settle = (error, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timeoutTimer);
+            clearTimeout(killTimer);
+            if (error) reject(error);
+            else resolve(value);
+        };
+
+        child.on('error', (error) => {
+            let message = `Could not run ${commandLine}: ${error.message}`;
+            if (error.code === 'ENOENT') {
+                // spawn() reports a missing working directory as ENOENT, too.
+                message = cwd !== undefined && !isDirectory(cwd) ? `Working directory not found: ${cwd}` : `Command not found: ${command}`;
+            }
+            settle(new CommandError(message, result(null, null), error.code));
+        });
+
+        child.on('close', (exitCode, signal) => {
+            const outcome = result(exitCode, signal);
+            if (timedOut) {
+                settle(new CommandTimeoutError(`Command timed out after ${timeout}ms and was killed with ${signal}: ${commandLine}`, outcome, timeout));
+            } else if (exitCode !== 0) {
+                // Prefer a "SomeError: message" line over whatever came last.
+                const lines = outcome.stderr.trim().split('\n');
+                const summary = lines.find((line) => /^\w*Error\b/.test(line)) || lines.pop();
+                const reason = signal ? `was killed by ${signal}` : `failed with exit code ${exitCode}`;
+                settle(new CommandError(`Command ${reason}: ${commandLine}${summary ? `\n${summary}` : ''}`, outcome, signal ? 'ESIGNAL' : 'EEXITCODE'));
+            } else {
+                settle(null, outcome);
+            }
+        });
+    });
+}
+
+// Turns cmd`...` into argv, without ever interpreting the interpolated values.
+function templateToArgv(strings, values) {
+    const argv = [];
+    let current = null; // the argument being built, null between arguments
+    const endArgument = () => {
+        if (current !== null) argv.push(current);
+        current = null;
+    };
+    strings.forEach((text, i) => {
+        text.split(/\s+/).forEach((part, j) => {
+            if (j > 0) endArgument();
+            if (part) current = (current === null ? '' : current) + part;
+        });
+        if (i >= values.length) return;
+        const value = values[i];
+        if (value === null || value === undefined) {
+            throw new TypeError(`cmd\`\`: interpolated value #${i + 1} is ${value}`);
+        }
+        if (Array.isArray(value)) {
+            // Splitting `a${array}b` would quietly break it into separate
+            // arguments, whatever the author meant.
+            const next = strings[i + 1];
+            const joinedBefore = current !== null;
+            const joinedAfter = !/^\s/.test(next) && (next !== '' || i + 1 < values.length);
+            if (joinedBefore || joinedAfter) {
+                throw new TypeError(`cmd\`\`: interpolated array #${i + 1} must be separated from the text around it by whitespace`);
+            }
+            argv.push(...value.map(String));
+        } else {
+            current = (current === null ? '' : current) + String(value);
+        }
+    });
+    endArgument();
+    return argv;
+}
+
+function runTemplate(options, strings, values) {
+    let argv;
+    try {
+        argv = templateToArgv(strings, values);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    if (argv.length === 0) return Promise.reject(new TypeError('cmd``: no command given'));
+    return run(argv[0], argv.slice(1), options);
+}
+
+// cmd`node --version` runs a command; cmd({ timeout: 1000 })`...` passes options to run().
+function cmd(stringsOrOptions, ...values) {
+    if (!Array.isArray(stringsOrOptions)) {
+        return (strings, ...templateValues) => runTemplate(stringsOrOptions, strings, templateValues);
+    }
+    return runTemplate({}, stringsOrOptions, values);
+}
+
+module.exports = { run, cmd, formatCommand, CommandError, CommandTimeoutError };
@@ -1,33 +1,54 @@
 const cliProgress = require('cli-progress');
 const colors = require('ansi-colors');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createProgress } = require('./progress');
+const { ThroughputMeter } = require('./throughput');
+const { createTaskRunner, formatResults } = require('./task-runner');
 
 // Helper function to simulate async work
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// The examples that report through progress.js pick live bars, plain text lines
+// or NDJSON automatically; pass --progress=tty|text|ndjson to choose yourself.
+const modeArg = process.argv.find((arg) => arg.startsWith('--progress='));
+const progressMode = modeArg ? modeArg.slice('--progress='.length) : undefined;
+
 async function runExamples() {
     // -----------------------------------------------------------------------------
     // Example 1: Basic Bar with a Custom Payload
     //
     // "Cutting Edge" takeaway: Go beyond a simple percentage. A modern progress
     // bar should provide context. Use custom payloads to display dynamic info
-    // like the current file being processed, download speed, or ETA.
+    // like the current file being processed, download speed, or ETA. Report it
+    // to a progress task rather than to a bar, so the same code also produces
+    // readable CI logs (plain lines) or machine-readable NDJSON events. Speed
+    // and ETA are measured by a PassThrough stream in the pipeline, not made up.
     // -----------------------------------------------------------------------------
     console.log(colors.cyan('--- Example 1: Basic Bar with Custom Payload ---'));
-    const bar1 = new cliProgress.SingleBar({
-        format: 'Processing |' + colors.cyan('{bar}') + '| {percentage}% || {value}/{total} Chunks || Speed: {speed}',
-        barCompleteChar: '█',
-        barIncompleteChar: '░',
-        hideCursor: true
+    const progress1 = createProgress({
+        mode: progressMode,
+        format: 'Processing |' + colors.cyan('{bar}') + '| {percentage}% || {value}/{total} Bytes || Speed: {speed} || ETA: {eta}',
+        barOptions: { barCompleteChar: '█', barIncompleteChar: '░' },
     });
 
-    bar1.start(200, 0, { speed: "N/A" });
-
-    for (let i = 0; i <= 200; i++) {
-        bar1.update(i, { speed: (Math.random() * 10 + 5).toFixed(2) + " Mbps" });
-        await sleep(15);
+    const chunkSize = 64 * 1024;
+    const totalBytes = 200 * chunkSize;
+    async function* produceChunks() {
+        for (let i = 0; i < 200; i++) {
+            await sleep(15);
+            yield Buffer.alloc(chunkSize);
+        }
     }
 
-    bar1.stop();
+    const meter = new ThroughputMeter({
+        total: totalBytes,
+        task: progress1.task('Processing', { total: totalBytes, payload: { speed: 'N/A', eta: 'N/A' } }),
+    });
+    const discard = new Writable({ write: (chunk, encoding, callback) => callback() });
+
+    await pipeline(Readable.from(produceChunks()), meter, discard);
+    progress1.stop();
     console.log('\n');
 
 
@@ -36,34 +57,36 @@ async function runExamples() {
     //
     // "Cutting Edge" takeaway: Many modern tools perform tasks in parallel.
     // A multi-progress bar container provides a clean, non-flickering way to
-    // visualize the status of multiple concurrent operations.
+    // visualize the status of multiple concurrent operations. A task runner
+    // adds what real pipelines need on top: dependencies, a concurrency limit,
+    // retries, a summary bar and a results table at the end.
     // -----------------------------------------------------------------------------
     console.log(colors.cyan('--- Example 2: Multi-Progress Bars for Parallel Tasks ---'));
-    const multiBar = new cliProgress.MultiBar({
-        clearOnComplete: false,
-        hideCursor: true,
-        format: ' {bar} | {filename} | {value}/{total}'
-    }, cliProgress.Presets.shades_grey);
-
-    const b1 = multiBar.create(200, 0, { filename: "file1.zip" });
-    const b2 = multiBar.create(500, 0, { filename: "file2.img" });
-
-    const task1 = async () => {
-        for (let i = 0; i <= 200; i++) {
-            await sleep(20);
-            b1.increment();
-        }
-    };
+    const runner = createTaskRunner({
+        concurrency: 2,
+        retryDelay: 300,
+        progress: { mode: progressMode, format: ' {bar} | {name} | {value}/{total} {status}' },
+    });
 
-    const task2 = async () => {
-        for (let i = 0; i <= 500; i++) {
-            await sleep(10);
-            b2.increment();
+    const download = (total, delay) => async ({ task }) => {
+        for (let i = 0; i < total; i++) {
+            await sleep(delay);
+            task.increment();
         }
     };
 
-    await Promise.all([task1(), task2()]);
-    multiBar.stop();
+    runner.add('file1.zip', download(200, 20), { total: 200 });
+    runner.add('file2.img', download(500, 10), { total: 500 });
+    // Fails on the first attempt, then succeeds on the retry
+    runner.add('checksums.txt', async ({ task, attempt, warn }) => {
+        await download(50, 20)({ task });
+        if (attempt === 1) throw new Error('checksum mismatch');
+        warn('checksums verified on attempt ' + attempt);
+    }, { total: 50, retries: 1 });
+    runner.add('extract', download(100, 10), { total: 100, dependsOn: ['file1.zip', 'checksums.txt'] });
+
+    const results = await runner.run();
+    console.log(formatResults(results));
     console.log('\n');
 
 
@@ -71,31 +94,43 @@ async function runExamples() {
     // Example 3: Indeterminate Progress for Unknown Durations
     //
     // "Cutting Edge" takeaway: Sometimes you don't know the total size of an
-    // operation. An indeterminate (shuttling) progress bar provides clear
-    // visual feedback that the application is working, not frozen.
+    // operation. An indeterminate (shuttling) progress bar with a spinner and
+    // the elapsed time provides clear visual feedback that the application is
+    // working, not frozen. As soon as the size becomes known (here: when the
+    // simulated server sends its Content-Length), switch to a real bar.
     // -----------------------------------------------------------------------------
     console.log(colors.cyan('--- Example 3: Indeterminate Progress ---'));
-    const bar3 = new cliProgress.SingleBar({
-        format: colors.yellow('Connecting to remote server [{bar}] {duration}s'),
-        barCompleteChar: '█',
-        barIncompleteChar: '░',
-        hideCursor: true,
+    const progress3 = createProgress({
+        mode: progressMode,
+        format: ' {bar} {percentage}% | {name} | {speed} | ETA: {eta} {status}',
     });
 
-    // Start with a total of 0 for an indeterminate bar
-    bar3.start(100, 0);
+    // A download whose size arrives with the response, after ~2.5 seconds
+    const simulateDownload = async () => {
+        const task = progress3.task('Downloading archive.tar.gz');
+        await sleep(2500);
+
+        const contentLength = 80 * chunkSize;
+        const body = Readable.from((async function* () {
+            for (let i = 0; i < 80; i++) {
+                await sleep(25);
+                yield Buffer.alloc(chunkSize);
+            }
+        })());
+        const download = new ThroughputMeter({ task });
+        download.setTotal(contentLength); // Switches the task to a determinate bar
+        await pipeline(body, download, new Writable({ write: (chunk, encoding, callback) => callback() }));
+    };
 
-    // Simulate a task of unknown length
-    let connectTime = 0;
-    const interval = setInterval(() => {
-        connectTime++;
-        bar3.update(connectTime);
-    }, 1000);
+    // A mirror that never answers
+    const simulateMirror = async () => {
+        const task = progress3.task('Contacting backup mirror');
+        await sleep(3000);
+        task.fail(new Error('connect ETIMEDOUT'));
+    };
 
-    await sleep(4200); // Simulate connection established after 4.2 seconds
-    clearInterval(interval);
-    bar3.update(100); // Fill the bar to 100%
-    bar3.stop();
+    await Promise.all([simulateDownload(), simulateMirror()]);
+    progress3.stop();
     console.log('\n');
 
 
@@ -107,27 +142,24 @@ async function runExamples() {
     // logging support to print messages cleanly above the active bar.
     // -----------------------------------------------------------------------------
     console.log(colors.cyan('--- Example 4: Logging During Progress ---'));
-    const multiLogBar = new cliProgress.MultiBar({
-        clearOnComplete: false,
-        hideCursor: true,
-        format: ' {bar} | {task} | {value}/{total}'
-    }, cliProgress.Presets.shades_classic);
+    const progress4 = createProgress({ mode: progressMode, format: ' {bar} | {name} | {value}/{total}' });
 
-    const logBar = multiLogBar.create(100, 0, { task: "Main Process" });
+    const mainTask = progress4.task('Main Process', { total: 100 });
 
-    for (let i = 0; i <= 100; i++) {
-        logBar.increment();
+    for (let i = 1; i <= 100; i++) {
+        mainTask.increment();
         await sleep(30);
 
         if (i === 25) {
-            multiLogBar.log(colors.yellow('WARN: A minor, non-blocking issue occurred.\n'));
+            mainTask.log(colors.yellow('WARN: A minor, non-blocking issue occurred.'));
         }
         if (i === 60) {
-            multiLogBar.log(colors.green('INFO: Checkpoint reached successfully.\n'));
+            mainTask.log(colors.green('INFO: Checkpoint reached successfully.'));
         }
     }
 
-    multiLogBar.stop();
+    mainTask.done();
+    progress4.stop();
     console.log('\n');
 
 
@@ -24,6 +24,25 @@ console.table(users);
 // You can also select specific columns
 console.log('\nModern table output with selected columns:');
 console.table(users, ['name', 'role']);
+
+// For more control (sorting, formatting, colors, other output formats), use
+// the renderer in table.js.
+const { printTable, formatters } = require('./table');
+
+const userTable = {
+    columns: [
+        { key: 'id', header: 'ID' },
+        { key: 'name', header: 'Name', maxWidth: 6 },
+        { key: 'role', header: 'Role', color: (role) => role === 'admin' && 'red' },
+        { key: 'lastLogin', header: 'Last Login', format: formatters.date() },
+    ],
+    sort: { key: 'lastLogin', order: 'desc' },
+};
+console.log('\nRich table output, most recent login first:');
+printTable(users, userTable);
+
+console.log('\nThe same data as Markdown (without viewers):');
+printTable(users, { ...userTable, filter: (user) => user.role !== 'viewer', format: 'markdown' });
 console.log('\n');
 
 
@@ -58,7 +77,9 @@ console.log('\n');
 // "Cutting Edge" takeaway: Before reaching for a complex profiling library,
 // use the built-in `console.time()`, `console.timeLog()`, and `console.timeEnd()`
 // to quickly measure the duration of synchronous operations. It's a simple yet
-// powerful tool for identifying performance bottlenecks.
+// powerful tool for identifying performance bottlenecks. When the numbers need
+// to be compared, a profiler with nested spans and per-span statistics
+// (see profiler.js) turns those one-off timings into a report.
 // -----------------------------------------------------------------------------
 console.log('--- Example 3: Simple Performance Profiling with console.time() ---');
 
@@ -78,6 +99,27 @@ for (let i = 0; i < N; i++) {
 
 // End the timer and print the total duration
 console.timeEnd('Array Initialization');
+
+// console.time() prints a single number per run. To compare approaches, time
+// repeated runs with nested spans and look at the statistics instead.
+const { createProfiler } = require('./profiler');
+const profiler = createProfiler();
+
+profiler.bench('Array Initialization (loop)', () => {
+    const array = profiler.span('allocate', () => new Array(N));
+    profiler.span('fill', () => {
+        for (let i = 0; i < N; i++) {
+            array[i] = i * i;
+        }
+    });
+}, { runs: 10, warmup: 2 });
+
+profiler.bench('Array Initialization (Array.from)', () => {
+    Array.from({ length: N }, (_, i) => i * i);
+}, { runs: 10, warmup: 2 });
+
+console.log('\nProfiler report (10 runs each):');
+console.log(profiler.report());
 console.log('\n');
 
 
@@ -143,19 +185,22 @@ console.log('\n');
 
 
 // -----------------------------------------------------------------------------
-// Example 6: `console.assert()` and `console.trace()`
+// Example 6: Contracts and `console.trace()`
 //
-// "Cutting Edge" takeaway: Use `console.assert()` for lightweight, conditional
-// checks that log an error only if a condition is false. Pair it with
-// `console.trace()` to get a full stack trace for pinpointing exactly where
-// a function was called from, which is invaluable for debugging.
+// "Cutting Edge" takeaway: `console.assert()` only logs when a condition is
+// false and then carries on with a wrong result. Declaring preconditions and
+// postconditions as a contract on the function makes violations throw typed
+// errors that carry the offending arguments (or just log them, or skip the
+// checks in production). Pair it with `console.trace()` to get a full stack
+// trace for pinpointing exactly where a function was called from, which is
+// invaluable for debugging.
 // -----------------------------------------------------------------------------
-console.log('--- Example 6: Assertions and Tracing ---');
+console.log('--- Example 6: Contracts and Tracing ---');
+const { createContracts, PreconditionError } = require('./contracts');
 
-function calculateDiscount(price, discountPercentage) {
-    // Assertion: Only log an error if the percentage is invalid
-    console.assert(discountPercentage >= 0 && discountPercentage <= 1, 'Invalid discount percentage', discountPercentage);
+const contracts = createContracts({ mode: 'throw' });
 
+const calculateDiscount = contracts.contract(function calculateDiscount(price, discountPercentage) {
     if (price < 10) {
         // Trace: Show the call stack to see how we got here
         console.log('Applying small item discount logic...');
@@ -163,10 +208,62 @@ function calculateDiscount(price, discountPercentage) {
     }
 
     return price * (1 - discountPercentage);
-}
+}, {
+    requires: {
+        'price is a non-negative number': (price) => typeof price === 'number' && price >= 0,
+        'discountPercentage is between 0 and 1': (price, discountPercentage) => discountPercentage >= 0 && discountPercentage <= 1,
+    },
+    ensures: {
+        'discounted price is between 0 and price': (result, price) => result >= 0 && result <= price,
+    },
+});
 
 calculateDiscount(5, 0.1);
 console.log('---');
-// This call will trigger the assertion and log an error with a stack trace
-calculateDiscount(100, 1.5);
+// This call violates the precondition and throws instead of returning -50
+try {
+    calculateDiscount(100, 1.5);
+} catch (error) {
+    if (!(error instanceof PreconditionError)) throw error;
+    console.log(`${error.name}: ${error.message}`);
+    console.log('Offending arguments:', error.args);
+}
+
+console.log('---');
+// In 'log' mode a violation prints the error with its stack and the call goes on
+contracts.setMode('log');
+calculateDiscount(100, -0.5);
+contracts.setMode('throw');
+
+console.log('\nContract violations so far:');
+console.table(contracts.violations());
+
+
+console.log('\n');
 
+
+// -----------------------------------------------------------------------------
+// Example 7: Structured Logging with Levels, Child Loggers and Redaction
+//
+// "Cutting Edge" takeaway: `console.log` is fine for scripts, but services need
+// log levels, context (which component logged this?) and machine-readable
+// output. A structured logger prints colored lines for humans on a TTY and
+// one JSON object per line when piped into a log collector, and it keeps
+// secrets such as passwords out of the logs.
+// -----------------------------------------------------------------------------
+console.log('--- Example 7: Structured Logging ---');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ name: 'auth', level: 'debug', redact: ['password', 'token'] });
+const validation = logger.child('validation');
+const database = logger.child('db', { table: 'users' });
+
+const loginAttempt = { ...users[0], password: 'hunter2', token: 'secret-session-token' };
+
+logger.info('User Authentication Flow started', { user: loginAttempt });
+validation.debug('Username: OK');
+validation.debug('Password: OK');
+database.info('Querying user record...');
+database.warn('Slow query', { durationMs: 742 });
+logger.info('Authentication successful!', { userId: loginAttempt.id });
+logger.trace('This is below the "debug" level and is not printed.');
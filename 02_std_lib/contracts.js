@@ -0,0 +1,165 @@
+const util = require('util');
+
+// Runtime contracts: preconditions and postconditions declared next to a
+// function instead of `console.assert()` calls inside it.
+//
+//   const contracts = createContracts({ mode: 'throw' });
+//   const discount = contracts.contract(function discount(price, percentage) {
+//       return price * (1 - percentage);
+//   }, {
+//       requires: {
+//           'percentage is between 0 and 1': (price, percentage) => percentage >= 0 && percentage <= 1,
+//       },
+//       ensures: {
+//           'result is not more than the price': (result, price) => result <= price,
+//       },
+//   });
+//
+// Preconditions receive the arguments; postconditions receive the result
+// followed by the arguments (for async functions, the resolved value).
+//
+// Modes:
+// - 'throw': a violation throws a PreconditionError/PostconditionError.
+// - 'log':   the error is printed with its stack, like console.trace(), and
+//            the call carries on, like console.assert().
+// - 'off':   nothing is checked; the original function runs directly.
+//
+// The default mode comes from the CONTRACTS environment variable, or is 'off'
+// when NODE_ENV is 'production' and 'throw' otherwise. Violations are counted
+// per function and condition in both checking modes; see violations().
+
+const MODES = ['throw', 'log', 'off'];
+
+class ContractError extends Error {
+    constructor(message, { functionName, condition, args }) {
+        super(message);
+        this.name = this.constructor.name;
+        this.functionName = functionName;
+        this.condition = condition;
+        this.args = args;
+    }
+}
+
+class PreconditionError extends ContractError {}
+
+class PostconditionError extends ContractError {
+    constructor(message, details) {
+        super(message, details);
+        this.result = details.result;
+    }
+}
+
+function checkMode(mode) {
+    if (!MODES.includes(mode)) {
+        throw new TypeError(`Unknown contract mode "${mode}". Use one of: ${MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+function defaultMode() {
+    if (process.env.CONTRACTS) return process.env.CONTRACTS;
+    return process.env.NODE_ENV === 'production' ? 'off' : 'throw';
+}
+
+const inspect = (value) => util.inspect(value, { depth: 2, breakLength: Infinity });
+
+function formatCall(functionName, args) {
+    return `${functionName}(${args.map(inspect).join(', ')})`;
+}
+
+// Conditions may be given as { description: predicate } or as an array of
+// predicates, which are then described by their source.
+function normalizeConditions(conditions = {}) {
+    if (Array.isArray(conditions)) {
+        return conditions.map((predicate) => [predicate.name || predicate.toString(), predicate]);
+    }
+    return Object.entries(conditions);
+}
+
+function createContracts({ mode = defaultMode() } = {}) {
+    let currentMode = checkMode(mode);
+    const counts = new Map();
+
+    function count(error) {
+        const key = `${error.functionName}\0${error.constructor.name}\0${error.condition}`;
+        const entry = counts.get(key) || {
+            function: error.functionName,
+            kind: error instanceof PreconditionError ? 'precondition' : 'postcondition',
+            condition: error.condition,
+            count: 0,
+        };
+        entry.count++;
+        counts.set(key, entry);
+    }
+
+    function violate(error, wrapper) {
+        Error.captureStackTrace(error, wrapper);
+        count(error);
+        if (currentMode === 'throw') {
+            throw error;
+        }
+        console.error(error.stack);
+    }
+
+    function contract(fn, { name = fn.name || 'anonymous', requires, ensures } = {}) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('contract() expects a function');
+        }
+        const preconditions = normalizeConditions(requires);
+        const postconditions = normalizeConditions(ensures);
+
+        const checkResult = (result, args) => {
+            for (const [condition, predicate] of postconditions) {
+                if (!predicate(result, ...args)) {
+                    violate(new PostconditionError(
+                        `Postcondition failed in ${formatCall(name, args)} => ${inspect(result)}: ${condition}`,
+                        { functionName: name, condition, args, result },
+                    ), wrapper);
+                }
+            }
+            return result;
+        };
+
+        function wrapper(...args) {
+            if (currentMode === 'off') {
+                return fn.apply(this, args);
+            }
+            for (const [condition, predicate] of preconditions) {
+                if (!predicate(...args)) {
+                    violate(new PreconditionError(
+                        `Precondition failed in ${formatCall(name, args)}: ${condition}`,
+                        { functionName: name, condition, args },
+                    ), wrapper);
+                }
+            }
+            const result = fn.apply(this, args);
+            if (result instanceof Promise) {
+                return result.then((value) => checkResult(value, args));
+            }
+            return checkResult(result, args);
+        }
+
+        Object.defineProperty(wrapper, 'name', { value: name });
+        Object.defineProperty(wrapper, 'length', { value: fn.length });
+        return wrapper;
+    }
+
+    return {
+        contract,
+        get mode() {
+            return currentMode;
+        },
+        setMode(newMode) {
+            currentMode = checkMode(newMode);
+        },
+        // One entry per function and failed condition, most frequent first.
+        violations() {
+            return [...counts.values()].map((entry) => ({ ...entry })).sort((a, b) => b.count - a.count);
+        },
+        resetViolations() {
+            counts.clear();
+        },
+    };
+}
+
+module.exports = { createContracts, ContractError, PreconditionError, PostconditionError };
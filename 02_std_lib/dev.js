@@ -0,0 +1,180 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const colors = require('ansi-colors');
+const { watchTree } = require('./watcher');
+
+// A small hot-reload runner, in the spirit of nodemon:
+//
+//   node dev.js file.js
+//   node dev.js --ext js,json --ignore temp_files --kill-timeout 5000 processes.js [args...]
+//
+// - spawns the script as a child process with stdio passed through
+// - watches the script's directory (or --watch <dir>) recursively and restarts
+//   the script when a matching file changes; bursts of changes (a git checkout,
+//   a formatter run) cause a single restart after --delay ms
+// - stops the old process gracefully: SIGTERM first, SIGKILL if it is still
+//   running after --kill-timeout ms
+// - when the script exits or crashes on its own, reports the exit code or
+//   signal and waits for the next change instead of restarting in a loop
+
+const DEFAULTS = {
+    ext: ['js', 'json', 'cjs', 'mjs'],
+    ignore: ['node_modules', '.git'],
+    delay: 150,
+    killTimeout: 3000,
+};
+
+const log = (message, style = colors.cyan) => console.log(style(`[dev] ${message}`));
+
+function describeExit(code, signal) {
+    return signal ? `was killed by ${signal}` : `exited with code ${code}`;
+}
+
+function createDevRunner({ script, args = [], watch, ext = DEFAULTS.ext, ignore = DEFAULTS.ignore, delay = DEFAULTS.delay, killTimeout = DEFAULTS.killTimeout }) {
+    const scriptPath = path.resolve(script);
+    const watchDir = path.resolve(watch || path.dirname(scriptPath));
+    let child = null;
+    let watcher = null;
+    let restartTimer = null;
+    let changed = new Set();
+    let restarting = null;
+    let stopped = false;
+
+    function start() {
+        const current = spawn(process.execPath, [scriptPath, ...args], { stdio: 'inherit' });
+        child = current;
+        current.once('spawn', () => log(`started ${path.relative(process.cwd(), scriptPath)} (PID ${current.pid})`));
+
+        current.on('exit', (code, signal) => {
+            // Exits we asked for (restart or shutdown) are reported by stopChild().
+            if (current.stopRequested) return;
+            child = null;
+            if (code === 0) {
+                log('clean exit - waiting for changes before restart', colors.green);
+            } else {
+                log(`app crashed: ${describeExit(code, signal)} - waiting for changes before restart`, colors.red);
+            }
+        });
+        current.on('error', (error) => {
+            log(`failed to start: ${error.message}`, colors.red);
+        });
+    }
+
+    // SIGTERM first, so the script can clean up; SIGKILL if it takes too long.
+    function stopChild() {
+        const current = child;
+        child = null;
+        // A child that failed to spawn has no PID and never emits 'exit'.
+        if (!current || current.pid === undefined || current.exitCode !== null || current.signalCode !== null) {
+            return Promise.resolve();
+        }
+        current.stopRequested = true;
+        return new Promise((resolve) => {
+            let done = false;
+            const finish = (message) => {
+                if (done) return;
+                done = true;
+                clearTimeout(timer);
+                log(message);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                log(`PID ${current.pid} still running after ${killTimeout}ms, sending SIGKILL`, colors.yellow);
+                current.kill('SIGKILL');
+            }, killTimeout);
+            current.once('exit', (code, signal) => finish(`stopped PID ${current.pid} (${describeExit(code, signal)})`));
+            // Signalling can fail too, e.g. when the process is already gone.
+            current.once('error', (error) => finish(`could not stop PID ${current.pid}: ${error.message}`));
+            current.kill('SIGTERM');
+        });
+    }
+
+    async function restart() {
+        // Changes that arrive while we are restarting cause one more restart.
+        while (changed.size > 0 && !stopped) {
+            const files = [...changed];
+            changed = new Set();
+            log(`restarting due to changes in ${files.slice(0, 3).join(', ')}${files.length > 3 ? ` and ${files.length - 3} more` : ''}`);
+            await stopChild();
+            if (!stopped) start();
+        }
+        restarting = null;
+    }
+
+    function onChange(event) {
+        changed.add(event.path);
+        clearTimeout(restartTimer);
+        restartTimer = setTimeout(() => {
+            if (!restarting) restarting = restart();
+        }, delay);
+    }
+
+    return {
+        async run() {
+            watcher = watchTree(watchDir, {
+                include: [`**/*.{${ext.join(',')}}`],
+                exclude: ignore,
+                debounce: 50,
+            });
+            watcher.on('all', onChange);
+            watcher.on('error', (error) => log(`watch error: ${error.message}`, colors.red));
+            await watcher.ready;
+            log(`watching ${path.relative(process.cwd(), watchDir) || '.'} for *.{${ext.join(',')}} changes`);
+            start();
+        },
+        async stop() {
+            stopped = true;
+            clearTimeout(restartTimer);
+            if (watcher) watcher.close();
+            await restarting;
+            await stopChild();
+        },
+    };
+}
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    let i = 0;
+    // Options come first; everything from the script name on belongs to the script.
+    for (; i < argv.length && argv[i].startsWith('--'); i += 2) {
+        const [flag, value] = [argv[i], argv[i + 1]];
+        if (value === undefined) throw new Error(`Missing value for ${flag}`);
+        switch (flag) {
+            case '--watch': options.watch = value; break;
+            case '--ext': options.ext = value.split(',').map((e) => e.replace(/^\./, '')); break;
+            case '--ignore': options.ignore = [...DEFAULTS.ignore, ...value.split(',')]; break;
+            case '--delay': options.delay = Number(value); break;
+            case '--kill-timeout': options.killTimeout = Number(value); break;
+            default: throw new Error(`Unknown option ${flag}`);
+        }
+    }
+    if (!argv[i]) {
+        throw new Error('Usage: node dev.js [--watch dir] [--ext js,json] [--ignore a,b] [--delay ms] [--kill-timeout ms] <script> [args...]');
+    }
+    return { ...options, script: argv[i], args: argv.slice(i + 1) };
+}
+
+if (require.main === module) {
+    let runner;
+    try {
+        runner = createDevRunner(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const shutdown = async (signal) => {
+        log(`received ${signal}, shutting down`);
+        await runner.stop();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    runner.run().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { createDevRunner };
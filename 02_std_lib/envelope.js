@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const util = require('util');
+const { Transform } = require('stream');
+const { createCodec, CodecError } = require('./binary-codec');
+
+// Authenticated envelope encryption (AES-256-GCM).
+//
+// Every envelope starts with a versioned header, so the format can evolve and
+// old data stays readable:
+//
+//   magic "NMEV" | version | algorithm id | flags | key id | IV | [auth tag] | ciphertext | [auth tag]
+//
+// The header (up to and including the IV) is authenticated as additional data,
+// so flipping a bit in the key id or the flags is detected just like tampering
+// with the ciphertext. Buffers carry the auth tag right after the IV. Streams
+// cannot know the tag until the last byte is encrypted, so they set the
+// TRAILING_TAG flag and append it instead.
+//
+// Keys live in a Keyring and are referenced by id. Rotating keys means adding
+// a new current key: old envelopes still decrypt with their recorded key id,
+// and `reencrypt()` moves them over to the current key.
+
+const MAGIC = Buffer.from('NMEV');
+const VERSION = 1;
+const ALGORITHMS = {
+    1: { name: 'aes-256-gcm', keyLength: 32, ivLength: 12, tagLength: 16 },
+};
+const DEFAULT_ALGORITHM = 1;
+const FLAG_TRAILING_TAG = 0x01;
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const headerCodec = createCodec([
+    { name: 'magic', type: 'bytes', length: MAGIC.length },
+    { name: 'version', type: 'uint8' },
+    { name: 'algorithm', type: 'uint8' },
+    { name: 'flags', type: 'uint8' },
+    { name: 'keyId', type: 'string', lengthType: 'uint8' },
+    { name: 'iv', type: 'bytes', length: ALGORITHMS[DEFAULT_ALGORITHM].ivLength },
+]);
+
+class EnvelopeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// The data is not an envelope, or it is truncated.
+class EnvelopeFormatError extends EnvelopeError {}
+
+// The envelope was written by a newer (or unknown) format version or algorithm.
+class UnsupportedEnvelopeError extends EnvelopeError {}
+
+// The keyring has no key with the id recorded in the envelope.
+class UnknownKeyError extends EnvelopeError {
+    constructor(keyId) {
+        super(`No key with id "${keyId}" in the keyring`);
+        this.keyId = keyId;
+    }
+}
+
+// Wrong key, or the header, ciphertext or tag were modified.
+class AuthenticationError extends EnvelopeError {}
+
+class Keyring {
+    constructor({ keys = {}, current } = {}) {
+        this.keys = new Map();
+        for (const [id, key] of Object.entries(keys)) {
+            this.add(id, key);
+        }
+        this.current = current !== undefined ? current : Object.keys(keys).pop();
+    }
+
+    add(id, key) {
+        const { keyLength } = ALGORITHMS[DEFAULT_ALGORITHM];
+        if (!Buffer.isBuffer(key) || key.length !== keyLength) {
+            throw new TypeError(`Key "${id}" must be a ${keyLength}-byte Buffer`);
+        }
+        if (Buffer.byteLength(id) > 255) {
+            throw new TypeError(`Key id "${id}" is longer than 255 bytes`);
+        }
+        this.keys.set(id, key);
+        return this;
+    }
+
+    // Adds a key and makes it the one new envelopes are encrypted with.
+    rotate(id, key) {
+        this.add(id, key);
+        this.current = id;
+        return this;
+    }
+
+    get(id) {
+        const key = this.keys.get(id);
+        if (!key) {
+            throw new UnknownKeyError(id);
+        }
+        return key;
+    }
+}
+
+function generateKey() {
+    return crypto.randomBytes(ALGORITHMS[DEFAULT_ALGORITHM].keyLength);
+}
+
+function generateSalt() {
+    return crypto.randomBytes(16);
+}
+
+// Derives a key from a passphrase. Store the salt next to the data (it is not
+// secret); the same passphrase and salt always yield the same key.
+function deriveKey(passphrase, salt, { N = 2 ** 14, r = 8, p = 1 } = {}) {
+    const { keyLength } = ALGORITHMS[DEFAULT_ALGORITHM];
+    return scrypt(passphrase, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+}
+
+function createHeader(keyring, flags) {
+    const keyId = keyring.current;
+    if (keyId === undefined) {
+        throw new UnknownKeyError(keyId);
+    }
+    const algorithm = ALGORITHMS[DEFAULT_ALGORITHM];
+    const iv = crypto.randomBytes(algorithm.ivLength);
+    const header = headerCodec.encode({ magic: MAGIC, version: VERSION, algorithm: DEFAULT_ALGORITHM, flags, keyId, iv });
+    const cipher = crypto.createCipheriv(algorithm.name, keyring.get(keyId), iv, {
+        authTagLength: algorithm.tagLength,
+    });
+    cipher.setAAD(header);
+    return { header, cipher };
+}
+
+// Parses the header at the start of `buf`. Returns null if more bytes are needed.
+function parseHeader(buf) {
+    const seen = Math.min(buf.length, MAGIC.length);
+    if (!buf.subarray(0, seen).equals(MAGIC.subarray(0, seen))) {
+        throw new EnvelopeFormatError('Not an envelope: bad magic bytes');
+    }
+    if (buf.length <= MAGIC.length) return null;
+
+    const version = buf[MAGIC.length];
+    if (version !== VERSION) {
+        throw new UnsupportedEnvelopeError(`Unsupported envelope version ${version}`);
+    }
+
+    let header;
+    let offset;
+    try {
+        ({ value: header, offset } = headerCodec.read(buf, 0));
+    } catch (error) {
+        if (error instanceof CodecError) return null;
+        throw error;
+    }
+    const algorithm = ALGORITHMS[header.algorithm];
+    if (!algorithm) {
+        throw new UnsupportedEnvelopeError(`Unsupported algorithm id ${header.algorithm}`);
+    }
+    return { ...header, raw: buf.subarray(0, offset), length: offset, spec: algorithm };
+}
+
+function createDecipher(header, keyring) {
+    const decipher = crypto.createDecipheriv(header.spec.name, keyring.get(header.keyId), header.iv, {
+        authTagLength: header.spec.tagLength,
+    });
+    decipher.setAAD(header.raw);
+    return decipher;
+}
+
+function finish(decipher, tag) {
+    decipher.setAuthTag(tag);
+    try {
+        return decipher.final();
+    } catch (error) {
+        throw new AuthenticationError('Decryption failed: wrong key or tampered data');
+    }
+}
+
+function encrypt(plaintext, keyring) {
+    const { header, cipher } = createHeader(keyring, 0);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([header, cipher.getAuthTag(), ciphertext]);
+}
+
+function decrypt(envelope, keyring) {
+    const header = parseHeader(envelope);
+    if (!header) {
+        throw new EnvelopeFormatError('Envelope is truncated: incomplete header');
+    }
+    const { tagLength } = header.spec;
+    if (envelope.length < header.length + tagLength) {
+        throw new EnvelopeFormatError('Envelope is truncated: missing auth tag');
+    }
+
+    let tag;
+    let ciphertext;
+    if (header.flags & FLAG_TRAILING_TAG) {
+        tag = envelope.subarray(envelope.length - tagLength);
+        ciphertext = envelope.subarray(header.length, envelope.length - tagLength);
+    } else {
+        tag = envelope.subarray(header.length, header.length + tagLength);
+        ciphertext = envelope.subarray(header.length + tagLength);
+    }
+    const decipher = createDecipher(header, keyring);
+    const plaintext = decipher.update(ciphertext);
+    return Buffer.concat([plaintext, finish(decipher, tag)]);
+}
+
+// Decrypts with whatever key the envelope names and encrypts again with the
+// keyring's current key.
+function reencrypt(envelope, keyring) {
+    return encrypt(decrypt(envelope, keyring), keyring);
+}
+
+function createEncryptStream(keyring) {
+    const { header, cipher } = createHeader(keyring, FLAG_TRAILING_TAG);
+    let headerSent = false;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const data = cipher.update(chunk);
+            if (!headerSent) {
+                headerSent = true;
+                this.push(header);
+            }
+            callback(null, data);
+        },
+        flush(callback) {
+            if (!headerSent) {
+                this.push(header);
+            }
+            this.push(cipher.final());
+            callback(null, cipher.getAuthTag());
+        },
+    });
+}
+
+// Note: a stream can only be authenticated once it has been read to the end.
+// Plaintext is emitted as it is decrypted, so consumers must discard the output
+// if the stream errors (`pipeline()` into a temp file, then rename, does that).
+function createDecryptStream(keyring) {
+    let pending = Buffer.alloc(0);
+    let header = null;
+    let decipher = null;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            pending = Buffer.concat([pending, chunk]);
+            try {
+                if (!header) {
+                    header = parseHeader(pending);
+                    if (!header) return callback();
+                    if (!(header.flags & FLAG_TRAILING_TAG)) {
+                        throw new UnsupportedEnvelopeError('Envelope was not written by a stream; use decrypt() instead');
+                    }
+                    decipher = createDecipher(header, keyring);
+                    pending = pending.subarray(header.length);
+                }
+                // Hold back what may turn out to be the trailing auth tag.
+                const available = pending.length - header.spec.tagLength;
+                if (available <= 0) return callback();
+                const data = decipher.update(pending.subarray(0, available));
+                pending = pending.subarray(available);
+                callback(null, data);
+            } catch (error) {
+                callback(error);
+            }
+        },
+        flush(callback) {
+            try {
+                if (!header || pending.length < header.spec.tagLength) {
+                    throw new EnvelopeFormatError('Envelope is truncated');
+                }
+                callback(null, finish(decipher, pending));
+            } catch (error) {
+                callback(error);
+            }
+        },
+    });
+}
+
+module.exports = {
+    Keyring,
+    generateKey,
+    generateSalt,
+    deriveKey,
+    encrypt,
+    decrypt,
+    reencrypt,
+    createEncryptStream,
+    createDecryptStream,
+    EnvelopeError,
+    EnvelopeFormatError,
+    UnsupportedEnvelopeError,
+    UnknownKeyError,
+    AuthenticationError,
+};
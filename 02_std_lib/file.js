@@ -2,8 +2,14 @@
 // async/await syntax. We will primarily use `fs/promises`.
 const fs = require('fs/promises');
 const fsSync = require('fs');
+const os = require('os');
 const path = require('path');
 const { pipeline } = require('stream/promises');
+const envelope = require('./envelope');
+const { createProgress } = require('./progress');
+const { watchTree } = require('./watcher');
+const safeWrite = require('./safe-write');
+const resumableCopy = require('./resumable-copy');
 
 // We'll perform all operations inside a temporary directory to keep things clean.
 const tempDir = path.join(__dirname, 'temp_files');
@@ -78,6 +84,10 @@ async function runFileSystemExamples() {
         // memory. For large files (gigabytes), this is impossible. Streams process
         // data in small, manageable chunks, keeping memory usage low.
         // `pipeline` is the modern, recommended way to compose streams with proper error handling.
+        // A measuring PassThrough in the middle of the pipeline reports real
+        // progress, throughput and ETA without touching the data. For copies that
+        // must survive interruptions, record checkpoints in a sidecar file,
+        // resume from the last one, and compare SHA-256 hashes at the end.
         // -----------------------------------------------------------------------------
         console.log('\n--- Running Large File Stream Example ---');
         const largeSourceFile = path.join(tempDir, 'large-file.bin');
@@ -92,51 +102,201 @@ async function runFileSystemExamples() {
         }
         await writeHandle.close();
 
-        console.log('Copying large file efficiently using streams and pipeline...');
-        const readStream = fsSync.createReadStream(largeSourceFile);
-        const writeStream = fsSync.createWriteStream(largeDestFile);
+        // Give the source a distinctive mode and mtime, so we can see them preserved.
+        await fs.chmod(largeSourceFile, 0o640);
+        await fs.utimes(largeSourceFile, new Date('2024-01-01T12:00:00Z'), new Date('2024-01-01T12:00:00Z'));
+        const { size } = await fs.stat(largeSourceFile);
+        const copyFormat = ' {bar} {percentage}% | {speed} | ETA {eta} | {name} {status}';
 
-        await pipeline(readStream, writeStream);
-        console.log('File copy complete!');
+        console.log('Copying large file with checkpoints, interrupting it after 32 MB...');
+        const interrupt = new AbortController();
+        let progress = createProgress({ format: copyFormat });
+        try {
+            await resumableCopy.copyFile(largeSourceFile, largeDestFile, {
+                signal: interrupt.signal,
+                task: progress.task(path.basename(largeSourceFile), { total: size }),
+                onCheckpoint: (offset) => offset >= 32 * 1024 * 1024 && interrupt.abort(),
+            });
+        } catch (err) {
+            if (err.name !== 'AbortError') throw err;
+            console.log('Copy interrupted; progress is recorded next to the destination.');
+        } finally {
+            progress.stop();
+        }
+
+        console.log('Running the same copy again resumes where it stopped...');
+        progress = createProgress({ format: copyFormat });
+        let copyResult;
+        try {
+            copyResult = await resumableCopy.copyFile(largeSourceFile, largeDestFile, {
+                task: progress.task(path.basename(largeSourceFile), { total: size }),
+            });
+        } finally {
+            progress.stop();
+        }
+        const destStats = await fs.stat(largeDestFile);
+        console.log(`File copy complete! Resumed from ${copyResult.resumedFrom / (1024 * 1024)} MB, verified sha256 ${copyResult.sha256.slice(0, 16)}...`);
+        console.log(`Preserved mode ${(destStats.mode & 0o777).toString(8)} and mtime ${destStats.mtime.toISOString()}`);
+
+        console.log('Copying a directory tree, then copying it again...');
+        const treeSource = path.join(tempDir, 'tree');
+        await fs.mkdir(path.join(treeSource, 'nested'), { recursive: true });
+        await fs.writeFile(path.join(treeSource, 'a.txt'), 'first file');
+        await fs.writeFile(path.join(treeSource, 'nested', 'b.txt'), 'second file');
+        for (const round of ['first', 'second']) {
+            const results = await resumableCopy.copyTree(treeSource, path.join(tempDir, 'tree-copy'));
+            console.log(`${round} run:`, results.map((result) => `${result.path} (${result.skipped ? 'up to date' : 'copied'})`).join(', '));
+        }
 
 
         // -----------------------------------------------------------------------------
         // Example 4: Watching for File System Changes
         //
         // "Cutting Edge" takeaway: `fs.watch` is the engine behind developer tools
-        // like hot-reloading (e.g., nodemon). It allows an application to react
-        // to file modifications in real-time. Use an AbortController for cleanup.
+        // like hot-reloading (e.g., nodemon; `node dev.js <script>` is a small
+        // version of it built on the watcher below). It allows an application to
+        // react to file modifications in real-time. Use an AbortController for cleanup.
+        // Raw `fs.watch` events are duplicated and ambiguous ('rename' for both
+        // create and delete) and cover a single directory level, so the watcher
+        // module watches the whole tree, debounces bursts of events and reports
+        // them as add/change/unlink.
         // -----------------------------------------------------------------------------
         console.log('\n--- Running File Watcher Example ---');
-        const watchFile = path.join(tempDir, 'watch-me.txt');
+        const watchDir = path.join(tempDir, 'watched');
+        const watchFile = path.join(watchDir, 'watch-me.txt');
+        await fs.mkdir(watchDir, { recursive: true });
         await fs.writeFile(watchFile, 'Initial content.');
 
         const controller = new AbortController();
         const { signal } = controller;
 
-        console.log(`Watching for changes on ${path.basename(watchFile)}. Try editing it in the next 20 seconds...`);
+        const watcher = watchTree(watchDir, { exclude: ['node_modules', '*.tmp'], signal });
+        await watcher.ready;
+        console.log(`Watching ${path.relative(__dirname, watchDir)} recursively. Try editing files there in the next 20 seconds...`);
 
         const watchTimeout = setTimeout(() => {
             console.log('Stopping watcher via AbortController.');
             controller.abort();
         }, 20000);
 
-        try {
-            const watcher = fs.watch(watchFile, { signal });
-            for await (const event of watcher) {
-                console.log(`  -> Detected ${event.eventType} event on ${event.filename}`);
-            }
-        } catch (err) {
-            if (err.name === 'AbortError') {
-                // This is expected when the watcher is aborted. Ignore.
-            } else {
-                throw err;
-            }
+        // A few changes of our own: three quick writes become one 'change', the
+        // new subdirectory is picked up, and the excluded *.tmp file is ignored.
+        // Nothing awaits these timers, so failures are logged here rather than
+        // left as unhandled rejections.
+        const makeChanges = async () => {
+            await fs.appendFile(watchFile, '\nLine 2');
+            await fs.appendFile(watchFile, '\nLine 3');
+            await fs.appendFile(watchFile, '\nLine 4');
+            await fs.writeFile(path.join(watchDir, 'scratch.tmp'), 'ignored');
+            await fs.mkdir(path.join(watchDir, 'nested', 'deeper'), { recursive: true });
+            await fs.writeFile(path.join(watchDir, 'nested', 'deeper', 'new-file.txt'), 'Hello');
+            await new Promise((resolve) => setTimeout(resolve, 500));
+            await fs.rm(path.join(watchDir, 'nested'), { recursive: true, force: true });
+        };
+        setTimeout(() => {
+            makeChanges().catch((error) => console.error('Could not change the watched files:', error.message));
+        }, 200);
+
+        // The loop ends by itself once the signal aborts.
+        for await (const event of watcher) {
+            console.log(`  -> ${event.type} ${event.path}`);
         }
 
         // It's good practice to clear the timeout if the loop exits for other reasons.
         clearTimeout(watchTimeout);
 
+
+        // -----------------------------------------------------------------------------
+        // Example 5: Encrypting Files at Rest
+        //
+        // "Cutting Edge" takeaway: Temp files often hold sensitive data. Encrypt
+        // them with an authenticated cipher (AES-256-GCM) so they can be neither
+        // read nor silently modified. Streams keep memory usage flat for big files.
+        // -----------------------------------------------------------------------------
+        console.log('\n--- Running File Encryption Example ---');
+        const secretFile = path.join(tempDir, 'secret.txt');
+        const encryptedFile = path.join(tempDir, 'secret.txt.enc');
+        await fs.writeFile(secretFile, 'Card number: 4111 1111 1111 1111\n');
+
+        // Derive the key from a passphrase. The salt is not secret, but it must be
+        // kept to derive the same key again.
+        const salt = envelope.generateSalt();
+        const keyring = new envelope.Keyring();
+        keyring.rotate('2025-passphrase', await envelope.deriveKey('correct horse battery staple', salt));
+
+        console.log('Step 1: Encrypting the file with a stream pipeline...');
+        await pipeline(
+            fsSync.createReadStream(secretFile),
+            envelope.createEncryptStream(keyring),
+            fsSync.createWriteStream(encryptedFile)
+        );
+        await fs.rm(secretFile);
+
+        console.log('Step 2: Decrypting it again...');
+        const decrypted = envelope.decrypt(await fs.readFile(encryptedFile), keyring);
+        console.log(`Decrypted Content: "${decrypted.toString().trim()}"`);
+
+        console.log('Step 3: Rotating to a new random key and re-encrypting...');
+        keyring.rotate('2026-random', envelope.generateKey());
+        const rotated = envelope.reencrypt(await fs.readFile(encryptedFile), keyring);
+        await fs.writeFile(encryptedFile, rotated);
+
+        console.log('Step 4: Tampering with the encrypted file...');
+        rotated[rotated.length - 1] ^= 0xff;
+        try {
+            envelope.decrypt(rotated, keyring);
+        } catch (err) {
+            if (!(err instanceof envelope.AuthenticationError)) throw err;
+            console.log(`Tampering detected: ${err.message}`);
+        }
+
+
+        // -----------------------------------------------------------------------------
+        // Example 6: Crash-Safe Writes
+        //
+        // "Cutting Edge" takeaway: `writeFile` truncates first and writes second, so
+        // a crash in between leaves a half-written file. Write to a temp file, fsync
+        // it and rename it over the target instead: the rename is atomic. Guard
+        // read-modify-write cycles with a lock file, and use an append-only journal
+        // for records that must survive a crash.
+        // -----------------------------------------------------------------------------
+        console.log('\n--- Running Crash-Safe Write Example ---');
+        const settingsFile = path.join(tempDir, 'settings.json');
+
+        console.log('Step 1: Writing settings atomically...');
+        await safeWrite.writeFileAtomic(settingsFile, JSON.stringify({ theme: 'dark', visits: 0 }, null, 2));
+        console.log(`Settings: ${await fs.readFile(settingsFile, 'utf8')}`.replace(/\s+/g, ' '));
+
+        console.log('Step 2: Five concurrent read-modify-write updates under a lock...');
+        const incrementVisits = () => safeWrite.withLock(settingsFile, async () => {
+            const settings = JSON.parse(await fs.readFile(settingsFile, 'utf8'));
+            settings.visits++;
+            await safeWrite.writeFileAtomic(settingsFile, JSON.stringify(settings, null, 2));
+        });
+        await Promise.all(Array.from({ length: 5 }, incrementVisits));
+        console.log(`Visits after 5 updates: ${JSON.parse(await fs.readFile(settingsFile, 'utf8')).visits}`);
+
+        console.log('Step 3: Taking over a lock left behind by a crashed process...');
+        await fs.writeFile(`${settingsFile}.lock`, JSON.stringify({ pid: 999999, hostname: os.hostname() }));
+        const lock = await safeWrite.acquireLock(settingsFile, { wait: 1000 });
+        console.log(`Stale lock replaced, now held by PID ${process.pid}`);
+        try {
+            await safeWrite.acquireLock(settingsFile, { wait: 200 });
+        } catch (err) {
+            if (!(err instanceof safeWrite.LockError)) throw err;
+            console.log(`A second owner is refused: ${err.message}`);
+        }
+        await lock.release();
+
+        console.log('Step 4: Appending to a journal, then simulating a crash mid-write...');
+        const journalFile = path.join(tempDir, 'events.log');
+        const journal = await safeWrite.openJournal(journalFile, { fsyncInterval: 500 });
+        await journal.append({ event: 'login', user: 'alice' });
+        await journal.append({ event: 'purchase', user: 'alice', amount: 42 });
+        await journal.close();
+        await fs.appendFile(journalFile, '{"event":"logo'); // a torn record
+        console.log('Records read back:', await safeWrite.readJournal(journalFile));
+
     } catch (err) {
         console.error('An error occurred in the main execution block:', err);
     } finally {
@@ -0,0 +1,200 @@
+const { Transform } = require('stream');
+const { sensorPacket } = require('./sensor-packet');
+
+// Stream framing for the sensor protocol.
+//
+// TCP sockets and file streams deliver arbitrary byte chunks: one packet can be
+// split across several chunks, and one chunk can hold several packets. The
+// decoder buffers bytes until a whole frame is available, decodes it with the
+// codec and pushes the resulting object downstream, so it drops straight into
+// `pipeline(socket, new FrameDecoder(), sink)`.
+//
+// Two framing modes are supported:
+//
+// - 'length-prefix': [length: UInt16BE][payload]
+//   Cheap, but a corrupted length can only be detected when it is impossible
+//   (zero, too large, or not a valid payload for the codec).
+//
+// - 'magic-crc':     [magic: 0x53 0x50 ("SP")][length: UInt16BE][payload][crc: UInt32BE]
+//   The CRC-32 covers the length and the payload. After corrupted bytes the
+//   decoder skips ahead to the next magic marker and carries on.
+//
+// Every time bytes are discarded the decoder emits a 'resync' event with the
+// number of skipped bytes and the reason.
+
+const MAGIC = Buffer.from([0x53, 0x50]);
+const LENGTH_SIZE = 2;
+const CRC_SIZE = 4;
+
+const MODES = {
+    'length-prefix': { header: LENGTH_SIZE, trailer: 0, lengthOffset: 0 },
+    'magic-crc': { header: MAGIC.length + LENGTH_SIZE, trailer: CRC_SIZE, lengthOffset: MAGIC.length },
+};
+
+class FrameError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FrameError';
+    }
+}
+
+// Standard CRC-32 (IEEE 802.3), the same checksum zip and PNG use.
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buf) {
+    let crc = -1;
+    for (let i = 0; i < buf.length; i++) {
+        crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+function checkMode(mode) {
+    if (!MODES[mode]) {
+        throw new TypeError(`Unknown framing mode "${mode}". Use one of: ${Object.keys(MODES).join(', ')}`);
+    }
+    return MODES[mode];
+}
+
+// Wraps an already encoded payload into a frame.
+function encodeFrame(payload, mode = 'length-prefix') {
+    const layout = checkMode(mode);
+    if (payload.length > 0xffff) {
+        throw new FrameError(`Payload of ${payload.length} bytes does not fit into a frame`);
+    }
+    const frame = Buffer.alloc(layout.header + payload.length + layout.trailer);
+    if (mode === 'magic-crc') {
+        MAGIC.copy(frame, 0);
+    }
+    frame.writeUInt16BE(payload.length, layout.lengthOffset);
+    payload.copy(frame, layout.header);
+    if (mode === 'magic-crc') {
+        const covered = frame.subarray(layout.lengthOffset, layout.header + payload.length);
+        frame.writeUInt32BE(crc32(covered), layout.header + payload.length);
+    }
+    return frame;
+}
+
+// The reverse direction: objects in, framed bytes out.
+class FrameEncoder extends Transform {
+    constructor({ mode = 'length-prefix', codec = sensorPacket } = {}) {
+        super({ writableObjectMode: true });
+        checkMode(mode);
+        this.mode = mode;
+        this.codec = codec;
+    }
+
+    _transform(packet, encoding, callback) {
+        try {
+            callback(null, encodeFrame(this.codec.encode(packet), this.mode));
+        } catch (error) {
+            callback(error);
+        }
+    }
+}
+
+class FrameDecoder extends Transform {
+    constructor({ mode = 'length-prefix', codec = sensorPacket, maxFrameSize, maxBufferSize = 64 * 1024 } = {}) {
+        super({ readableObjectMode: true });
+        this.layout = checkMode(mode);
+        this.mode = mode;
+        this.codec = codec;
+        // A fixed-size codec tells us exactly how long a valid payload is.
+        this.maxFrameSize = maxFrameSize || codec.fixedSize || 0xffff;
+        this.maxBufferSize = maxBufferSize;
+        this.buffer = Buffer.alloc(0);
+        this.stats = { frames: 0, skippedBytes: 0, resyncs: 0 };
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        while (this.buffer.length > 0) {
+            if (this.mode === 'magic-crc' && !this.alignToMagic()) break;
+            if (this.buffer.length < this.layout.header) break;
+
+            const length = this.buffer.readUInt16BE(this.layout.lengthOffset);
+            if (!this.isPlausibleLength(length)) {
+                this.skip(1, `implausible frame length ${length}`);
+                continue;
+            }
+
+            const frameSize = this.layout.header + length + this.layout.trailer;
+            if (this.buffer.length < frameSize) break;
+
+            const payload = this.buffer.subarray(this.layout.header, this.layout.header + length);
+            if (this.mode === 'magic-crc') {
+                const expected = this.buffer.readUInt32BE(this.layout.header + length);
+                const actual = crc32(this.buffer.subarray(this.layout.lengthOffset, this.layout.header + length));
+                if (expected !== actual) {
+                    this.skip(1, 'CRC mismatch');
+                    continue;
+                }
+            }
+
+            let packet;
+            try {
+                packet = this.codec.decode(payload);
+            } catch (error) {
+                this.skip(1, `undecodable payload: ${error.message}`);
+                continue;
+            }
+
+            this.buffer = this.buffer.subarray(frameSize);
+            this.stats.frames++;
+            this.push(packet);
+        }
+
+        if (this.buffer.length > this.maxBufferSize) {
+            callback(new FrameError(`Buffered ${this.buffer.length} bytes without a complete frame (limit ${this.maxBufferSize})`));
+            return;
+        }
+        callback();
+    }
+
+    _flush(callback) {
+        if (this.buffer.length > 0) {
+            callback(new FrameError(`Stream ended in the middle of a frame (${this.buffer.length} byte(s) left over)`));
+            return;
+        }
+        callback();
+    }
+
+    isPlausibleLength(length) {
+        if (length === 0 || length > this.maxFrameSize) return false;
+        return this.codec.fixedSize === null || length === this.codec.fixedSize;
+    }
+
+    // Drops everything before the next magic marker. Returns false when more
+    // data is needed to find one.
+    alignToMagic() {
+        const index = this.buffer.indexOf(MAGIC);
+        if (index === -1) {
+            // Keep a trailing first magic byte: the second one may be in the next chunk.
+            const keep = this.buffer[this.buffer.length - 1] === MAGIC[0] ? 1 : 0;
+            if (this.buffer.length - keep > 0) {
+                this.skip(this.buffer.length - keep, 'no frame marker');
+            }
+            return false;
+        }
+        if (index > 0) {
+            this.skip(index, 'bytes before frame marker');
+        }
+        return true;
+    }
+
+    skip(count, reason) {
+        this.buffer = this.buffer.subarray(count);
+        this.stats.skippedBytes += count;
+        this.stats.resyncs++;
+        this.emit('resync', { skipped: count, reason });
+    }
+}
+
+module.exports = { FrameDecoder, FrameEncoder, FrameError, encodeFrame, crc32 };
@@ -0,0 +1,147 @@
+// The message protocol between a parent and its workers (worker.js and the
+// worker pool), with every message type declared and validated.
+//
+// Untyped objects like { event: 'calculationComplete' } fail silently: a typo
+// in an event name just means nobody reacts. Here each side gets an endpoint
+// that only builds and accepts the messages declared below, checks their
+// fields and rejects anything else with a typed error:
+//
+//   const protocol = createEndpoint('parent');
+//   child.send(protocol.encode('task', { id: 1, task: 'calculate', data: 1e7 }));
+//   child.on('message', (raw) => {
+//       const message = protocol.decode(raw);   // throws a ProtocolError
+//       switch (message.type) { ... }
+//   });
+//
+// Conversation:
+//
+//   worker -> ready { versions }       on start-up, the protocol versions it speaks
+//   parent -> accept { version }       the highest version both sides speak;
+//                                      the worker refuses tasks until then
+//   parent -> task { id, task, data }
+//   worker -> progress { id, done, total }   any number of times
+//   worker -> result { id, result } | error { id, message, code } | cancelled { id }
+//   parent -> cancel { id }            asks the worker to stop a running task
+//   parent -> ping { id }              a liveness check, at any time;
+//   worker -> pong { id }              answered right away
+
+const PROTOCOL_VERSIONS = [1];
+
+// Field types: 'string', 'integer', 'number', 'any' and 'integer[]'. A trailing
+// '?' makes a field optional. Fields that are not declared are rejected too,
+// so a misspelled field name is caught.
+const MESSAGES = {
+    ready: { from: 'worker', fields: { versions: 'integer[]' } },
+    progress: { from: 'worker', fields: { id: 'integer', done: 'number', total: 'number' } },
+    result: { from: 'worker', fields: { id: 'integer', result: 'any?' } },
+    error: { from: 'worker', fields: { id: 'integer?', message: 'string', code: 'string?' } },
+    cancelled: { from: 'worker', fields: { id: 'integer' } },
+    pong: { from: 'worker', fields: { id: 'integer' } },
+    accept: { from: 'parent', fields: { version: 'integer' } },
+    task: { from: 'parent', fields: { id: 'integer', task: 'string', data: 'any?' } },
+    cancel: { from: 'parent', fields: { id: 'integer' } },
+    ping: { from: 'parent', fields: { id: 'integer' } },
+};
+
+class ProtocolError extends Error {
+    constructor(message, received) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = 'EPROTO';
+        this.received = received;
+    }
+}
+
+class UnknownMessageError extends ProtocolError {}
+
+class MalformedMessageError extends ProtocolError {
+    constructor(message, received, problems) {
+        super(message, received);
+        this.problems = problems;
+    }
+}
+
+class ProtocolVersionError extends ProtocolError {
+    constructor(message, offered) {
+        super(message, offered);
+        this.offered = offered;
+        this.supported = PROTOCOL_VERSIONS;
+    }
+}
+
+const checks = {
+    string: (value) => typeof value === 'string',
+    integer: (value) => Number.isInteger(value),
+    number: (value) => typeof value === 'number' && !Number.isNaN(value),
+    any: () => true,
+    'integer[]': (value) => Array.isArray(value) && value.every(Number.isInteger),
+};
+
+// Lists what is wrong with a message's fields; empty if nothing is.
+function findProblems(type, message) {
+    const { fields } = MESSAGES[type];
+    const problems = [];
+    for (const [field, spec] of Object.entries(fields)) {
+        const optional = spec.endsWith('?');
+        const fieldType = optional ? spec.slice(0, -1) : spec;
+        if (message[field] === undefined) {
+            if (!optional) problems.push(`'${field}' is missing`);
+        } else if (!checks[fieldType](message[field])) {
+            problems.push(`'${field}' must be ${fieldType === 'integer[]' ? 'an array of integers' : `a${fieldType === 'integer' ? 'n' : ''} ${fieldType}`}`);
+        }
+    }
+    for (const field of Object.keys(message)) {
+        if (field !== 'type' && !(field in fields)) problems.push(`'${field}' is not a field of '${type}'`);
+    }
+    return problems;
+}
+
+// Validates a message sent by `from` ('parent' or 'worker') and returns it.
+function validate(message, from) {
+    if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+        throw new MalformedMessageError('Message must be an object', message, ['not an object']);
+    }
+    const definition = MESSAGES[message.type];
+    if (!definition || definition.from !== from) {
+        throw new UnknownMessageError(`Unknown message type '${message.type}' from ${from}`, message);
+    }
+    const problems = findProblems(message.type, message);
+    if (problems.length > 0) {
+        throw new MalformedMessageError(`Malformed '${message.type}' message: ${problems.join(', ')}`, message, problems);
+    }
+    return message;
+}
+
+// `side` is 'parent' or 'worker'. encode() builds messages this side may
+// send, decode() checks messages received from the other side.
+function createEndpoint(side) {
+    if (side !== 'parent' && side !== 'worker') {
+        throw new TypeError(`Endpoint side must be 'parent' or 'worker', not '${side}'`);
+    }
+    const peer = side === 'parent' ? 'worker' : 'parent';
+    return {
+        side,
+        encode: (type, fields = {}) => validate({ type, ...fields }, side),
+        decode: (message) => validate(message, peer),
+    };
+}
+
+// Picks the highest version both sides speak, given the worker's `ready.versions`.
+function negotiateVersion(offered) {
+    const common = PROTOCOL_VERSIONS.filter((version) => offered.includes(version));
+    if (common.length === 0) {
+        throw new ProtocolVersionError(`No common protocol version: worker speaks ${offered.join(', ') || 'none'}, parent speaks ${PROTOCOL_VERSIONS.join(', ')}`, offered);
+    }
+    return Math.max(...common);
+}
+
+module.exports = {
+    PROTOCOL_VERSIONS,
+    MESSAGES,
+    createEndpoint,
+    negotiateVersion,
+    ProtocolError,
+    UnknownMessageError,
+    MalformedMessageError,
+    ProtocolVersionError,
+};
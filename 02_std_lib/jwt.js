@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const base64url = require('./base64url');
+
+// A minimal JSON Web Token implementation (RFC 7519), HS256 only.
+//
+// A token is three base64url parts joined by dots: header.payload.signature,
+// where the signature is an HMAC-SHA256 over "header.payload". Verification
+// recomputes the HMAC and compares it in constant time, then checks the
+// registered time claims (all in seconds since the epoch):
+// - exp: the token must not be used after this time,
+// - nbf: the token must not be used before this time,
+// - iat: when the token was issued; it must not lie in the future.
+// `clockTolerance` (seconds) allows for small clock differences between the
+// machine that issued the token and the one verifying it.
+
+const ALGORITHM = 'HS256';
+
+class JwtError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// Not a well-formed JWT, or it uses an algorithm we do not accept.
+class TokenMalformedError extends JwtError {}
+
+// The signature does not match: the token was tampered with or signed with another secret.
+class TokenSignatureError extends JwtError {}
+
+class TokenExpiredError extends JwtError {
+    constructor(expiredAt) {
+        super(`Token expired at ${expiredAt.toISOString()}`);
+        this.expiredAt = expiredAt;
+    }
+}
+
+// The token is not valid yet (nbf or iat in the future).
+class TokenNotActiveError extends JwtError {
+    constructor(message, date) {
+        super(message);
+        this.date = date;
+    }
+}
+
+const toSeconds = (ms) => Math.floor(ms / 1000);
+const toDate = (seconds) => new Date(seconds * 1000);
+
+function hmac(secret, data) {
+    if (typeof secret !== 'string' && !Buffer.isBuffer(secret)) {
+        throw new TypeError('Secret must be a string or a Buffer');
+    }
+    if (secret.length === 0) {
+        throw new TypeError('Secret must not be empty');
+    }
+    return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+function parseJson(part, what) {
+    let value;
+    try {
+        value = JSON.parse(base64url.decodeToString(part));
+    } catch (error) {
+        throw new TokenMalformedError(`Token ${what} is not valid base64url-encoded JSON`);
+    }
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new TokenMalformedError(`Token ${what} must be a JSON object`);
+    }
+    return value;
+}
+
+// Options (seconds): expiresIn, notBefore. `now` (ms) is mainly for tests.
+// An `iat` already present in the payload is kept.
+function sign(payload, secret, { expiresIn, notBefore, now = Date.now() } = {}) {
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new TypeError('Payload must be a plain object');
+    }
+    const issuedAt = payload.iat !== undefined ? payload.iat : toSeconds(now);
+    const claims = { ...payload, iat: issuedAt };
+    if (expiresIn !== undefined) {
+        claims.exp = issuedAt + expiresIn;
+    }
+    if (notBefore !== undefined) {
+        claims.nbf = issuedAt + notBefore;
+    }
+
+    const header = base64url.encode(JSON.stringify({ alg: ALGORITHM, typ: 'JWT' }));
+    const body = base64url.encode(JSON.stringify(claims));
+    const signature = base64url.encode(hmac(secret, `${header}.${body}`));
+    return `${header}.${body}.${signature}`;
+}
+
+// Splits a token without checking the signature. Never trust the result.
+function decode(token) {
+    if (typeof token !== 'string') {
+        throw new TokenMalformedError('Token must be a string');
+    }
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new TokenMalformedError('Token must consist of three dot-separated parts');
+    }
+    return {
+        header: parseJson(parts[0], 'header'),
+        payload: parseJson(parts[1], 'payload'),
+        signature: parts[2],
+    };
+}
+
+function checkTimeClaim(payload, name) {
+    if (payload[name] !== undefined && typeof payload[name] !== 'number') {
+        throw new TokenMalformedError(`Claim "${name}" must be a number`);
+    }
+    return payload[name] !== undefined;
+}
+
+// Returns the payload of a valid token, or throws one of the errors above.
+function verify(token, secret, { clockTolerance = 0, maxAge, now = Date.now() } = {}) {
+    const { header, payload, signature } = decode(token);
+
+    // Pin the algorithm: never let the token choose (e.g. "none").
+    if (header.alg !== ALGORITHM) {
+        throw new TokenMalformedError(`Unsupported algorithm "${header.alg}", expected ${ALGORITHM}`);
+    }
+
+    const [encodedHeader, encodedPayload] = token.split('.');
+    const expected = hmac(secret, `${encodedHeader}.${encodedPayload}`);
+    let actual;
+    try {
+        actual = base64url.decode(signature);
+    } catch (error) {
+        throw new TokenMalformedError('Token signature is not valid base64url');
+    }
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new TokenSignatureError('Invalid token signature');
+    }
+
+    const nowSeconds = toSeconds(now);
+    if (checkTimeClaim(payload, 'exp') && nowSeconds - clockTolerance >= payload.exp) {
+        throw new TokenExpiredError(toDate(payload.exp));
+    }
+    if (checkTimeClaim(payload, 'nbf') && nowSeconds + clockTolerance < payload.nbf) {
+        throw new TokenNotActiveError(`Token is not valid before ${toDate(payload.nbf).toISOString()}`, toDate(payload.nbf));
+    }
+    if (checkTimeClaim(payload, 'iat')) {
+        if (nowSeconds + clockTolerance < payload.iat) {
+            throw new TokenNotActiveError(`Token was issued in the future (${toDate(payload.iat).toISOString()})`, toDate(payload.iat));
+        }
+        if (maxAge !== undefined && nowSeconds - clockTolerance >= payload.iat + maxAge) {
+            throw new TokenExpiredError(toDate(payload.iat + maxAge));
+        }
+    } else if (maxAge !== undefined) {
+        throw new TokenMalformedError('Claim "iat" is required when maxAge is set');
+    }
+
+    return payload;
+}
+
+module.exports = {
+    sign,
+    verify,
+    decode,
+    JwtError,
+    TokenMalformedError,
+    TokenSignatureError,
+    TokenExpiredError,
+    TokenNotActiveError,
+};
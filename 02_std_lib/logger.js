@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const colors = require('ansi-colors');
+
+// A small structured logger.
+//
+// - Levels trace < debug < info < warn < error < fatal; anything below the
+//   logger's level is dropped before any formatting work is done.
+// - `logger.child('db')` creates a named child logger. Children share the
+//   parent's transports and are indented one step further, like nested
+//   `console.group()` blocks.
+// - Transports decide how a record is written. The stdout transport prints
+//   colored, human-friendly lines on a TTY and newline-delimited JSON when
+//   the output is piped (log collectors, CI), and the file transport appends
+//   NDJSON and rotates the file when it grows too big.
+// - Fields listed in `redact` (e.g. 'password' anywhere, or 'user.token' by
+//   path) are replaced before any transport sees the record.
+//
+//   const logger = createLogger({ name: 'app', redact: ['password'] });
+//   const db = logger.child('db');
+//   db.info('Connected', { host: 'localhost' });
+
+const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60 };
+
+const LEVEL_STYLES = {
+    trace: colors.gray,
+    debug: colors.blue,
+    info: colors.green,
+    warn: colors.yellow,
+    error: colors.red,
+    fatal: colors.bgRed.white.bold,
+};
+
+const REDACTED = '[REDACTED]';
+
+function checkLevel(level) {
+    if (!(level in LEVELS)) {
+        throw new TypeError(`Unknown log level "${level}". Use one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+    return level;
+}
+
+// Returns a copy of `value` with the redacted fields replaced. Paths without a
+// dot match a key at any depth; dotted paths match exactly.
+function redactValue(value, rules, prefix = '', seen = new WeakSet()) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack };
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+
+    let copy;
+    if (Array.isArray(value)) {
+        copy = value.map((item) => redactValue(item, rules, prefix, seen));
+    } else {
+        copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            const keyPath = prefix ? `${prefix}.${key}` : key;
+            copy[key] = rules.has(key) || rules.has(keyPath) ? REDACTED : redactValue(item, rules, keyPath, seen);
+        }
+    }
+    seen.delete(value);
+    return copy;
+}
+
+function formatPretty(record, depth) {
+    const { time, level, name, msg, ...fields } = record;
+    const indent = '  '.repeat(depth);
+    const clock = colors.dim(time.slice(11, 23));
+    const label = LEVEL_STYLES[level](level.toUpperCase().padEnd(5));
+    const scope = name ? colors.cyan(`[${name}] `) : '';
+    const extra = Object.keys(fields).length > 0
+        ? ' ' + util.inspect(fields, { colors: true, breakLength: Infinity, depth: 4 })
+        : '';
+    return `${clock} ${label} ${indent}${scope}${msg}${extra}`;
+}
+
+// JSON.stringify() throws on a bigint and on a circular reference; a log call
+// must not, so bigints become strings and cycles '[Circular]'.
+function formatJson(record) {
+    const ancestors = [];
+    return JSON.stringify(record, function replacer(key, value) {
+        if (typeof value === 'bigint') return value.toString();
+        if (value === null || typeof value !== 'object') return value;
+        // `this` is the object holding `value`; ancestors below it are done.
+        while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) ancestors.pop();
+        if (ancestors.includes(value)) return '[Circular]';
+        ancestors.push(value);
+        return value;
+    });
+}
+
+// Writes to a stream (stdout by default). `format` is 'pretty', 'json' or
+// 'auto' (pretty on a TTY, JSON otherwise).
+function streamTransport({ stream = process.stdout, format = 'auto' } = {}) {
+    if (!['auto', 'pretty', 'json'].includes(format)) {
+        throw new TypeError(`Unknown format "${format}". Use auto, pretty or json`);
+    }
+    const pretty = format === 'auto' ? Boolean(stream.isTTY) : format === 'pretty';
+    return {
+        write(record, { depth }) {
+            stream.write((pretty ? formatPretty(record, depth) : formatJson(record)) + '\n');
+        },
+    };
+}
+
+// Appends NDJSON to `file`. Once it exceeds `maxSize` bytes it is renamed to
+// file.1 (file.1 to file.2, ...) and a fresh file is started; at most
+// `maxFiles` rotated files are kept. Writes are synchronous, like console.log
+// to a file, so no log line is lost when the process exits.
+function rotatingFileTransport({ file, maxSize = 10 * 1024 * 1024, maxFiles = 5 } = {}) {
+    if (!file) {
+        throw new TypeError('rotatingFileTransport needs a "file" option');
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    let fd = fs.openSync(file, 'a');
+    let size = fs.fstatSync(fd).size;
+
+    const rotate = () => {
+        fs.closeSync(fd);
+        fs.rmSync(`${file}.${maxFiles}`, { force: true });
+        for (let i = maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${file}.${i}`)) {
+                fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+            }
+        }
+        fs.renameSync(file, `${file}.1`);
+        fd = fs.openSync(file, 'a');
+        size = 0;
+    };
+
+    return {
+        write(record) {
+            const line = Buffer.from(formatJson(record) + '\n');
+            if (size > 0 && size + line.length > maxSize) {
+                rotate();
+            }
+            fs.writeSync(fd, line);
+            size += line.length;
+        },
+        close() {
+            fs.closeSync(fd);
+        },
+    };
+}
+
+class Logger {
+    constructor({ name = '', level = process.env.LOG_LEVEL || 'info', transports, redact = [], bindings = {} } = {}, depth = 0) {
+        this.name = name;
+        this.level = checkLevel(level);
+        this.transports = transports || [streamTransport()];
+        this.redactRules = redact instanceof Set ? redact : new Set(redact);
+        this.bindings = bindings;
+        this.depth = depth;
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[checkLevel(level)] >= LEVELS[this.level];
+    }
+
+    // Children inherit level, transports and redaction and add their own
+    // name segment and bound fields, e.g. logger.child('db', { pool: 'main' }).
+    child(name, bindings = {}) {
+        return new Logger({
+            name: this.name ? `${this.name}:${name}` : name,
+            level: this.level,
+            transports: this.transports,
+            redact: this.redactRules,
+            bindings: { ...this.bindings, ...bindings },
+        }, this.depth + 1);
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+        const record = {
+            time: new Date().toISOString(),
+            level,
+            ...(this.name ? { name: this.name } : {}),
+            msg: String(msg),
+        };
+        // Fields never overwrite the core properties above.
+        for (const [key, value] of Object.entries(redactValue({ ...this.bindings, ...fields }, this.redactRules))) {
+            if (!(key in record)) record[key] = value;
+        }
+        for (const transport of this.transports) {
+            transport.write(record, { depth: this.depth });
+        }
+    }
+}
+
+for (const level of Object.keys(LEVELS)) {
+    Logger.prototype[level] = function (msg, fields) {
+        this.log(level, msg, fields);
+    };
+}
+
+function createLogger(options) {
+    return new Logger(options);
+}
+
+module.exports = { createLogger, Logger, LEVELS, streamTransport, rotatingFileTransport, redactValue };
@@ -2,15 +2,10 @@
 
 const os = require('os');
 const colors = require('ansi-colors');
+const { printTable, fromObject, formatters } = require('./table');
 
 // Helper to format bytes into KB, MB, GB
-const formatBytes = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-};
+const formatBytes = formatters.bytes();
 
 // -----------------------------------------------------------------------------
 // Example 1: System Information Dashboard
@@ -33,7 +28,12 @@ function showSystemInfo() {
         'User': os.userInfo().username,
         'Home Dir': os.homedir(),
     };
-    console.table(info);
+    printTable(fromObject(info), {
+        columns: [
+            { key: 'Property', color: () => 'cyan' },
+            { key: 'Value', maxWidth: 48 },
+        ],
+    });
 }
 
 // -----------------------------------------------------------------------------
@@ -146,7 +146,14 @@ function showNetworkAddresses() {
     }
     if (Object.keys(results).length > 0) {
         console.log('Found the following external IPv4 addresses:');
-        console.table(results);
+        const rows = Object.entries(results).map(([name, addresses]) => ({ name, addresses }));
+        printTable(rows, {
+            columns: [
+                { key: 'name', header: 'Interface' },
+                { key: 'addresses', header: 'IPv4 Addresses', format: formatters.list() },
+            ],
+            sort: 'name',
+        });
     } else {
         console.log(colors.yellow('No external IPv4 addresses found.'));
     }
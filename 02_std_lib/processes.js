@@ -2,8 +2,13 @@
 
 const { exec, execFile, spawn, fork } = require('child_process');
 const util = require('util');
+const os = require('os');
 const path = require('path');
 const colors = require('ansi-colors');
+const { createWorkerPool, TaskTimeoutError, TaskFailedError, TaskCancelledError } = require('./worker-pool');
+const { createEndpoint, negotiateVersion } = require('./ipc-protocol');
+const { run, cmd, CommandError, CommandTimeoutError } = require('./command');
+const { createSupervisor, loadConfig, formatStatus } = require('./supervisor');
 
 // Promisify exec and execFile for modern async/await syntax
 const execPromise = util.promisify(exec);
@@ -21,6 +26,7 @@ async function runChildProcessExamples() {
     console.log(colors.cyan.bold('--- Example 1: `exec` with Promises ---'));
     try {
         // Run a shell command. Note that this uses /bin/sh, which can be a security risk if command contains user input.
+        // Example 7 shows a safe alternative.
         const { stdout, stderr } = await execPromise('node --version && npm --version');
         console.log(colors.green('Command successful:'));
         console.log('stdout:\n', stdout);
@@ -97,17 +103,49 @@ async function runChildProcessExamples() {
 
     console.log(colors.magenta(`Forked worker process with PID: ${workerProcess.pid}`));
 
+    // Every message goes through the protocol in ipc-protocol.js: a typo in a
+    // message type or field throws a ProtocolError instead of being ignored.
+    const protocol = createEndpoint('parent');
+
     // Listen for messages from the worker
-    workerProcess.on('message', (message) => {
-        if (message.event === 'ready') {
-            console.log('[Parent] Worker is ready. Sending it a task...');
-            // Send a task to the worker
-            workerProcess.send({ task: 'calculate', data: 1e7 });
-        }
-        if (message.event === 'calculationComplete') {
-            console.log(colors.green(`[Parent] Received result from worker: ${message.result}`));
-            // We're done with the worker, so we can kill it
+    workerProcess.on('message', (raw) => {
+        let message;
+        try {
+            message = protocol.decode(raw);
+        } catch (error) {
+            console.error(colors.red(`[Parent] Rejected message from worker: ${error.message}`));
             workerProcess.kill();
+            return;
+        }
+        switch (message.type) {
+            case 'ready': {
+                let version;
+                try {
+                    version = negotiateVersion(message.versions);
+                } catch (error) {
+                    // No protocol version in common: this worker can't be talked to.
+                    console.error(colors.red(`[Parent] Rejected worker: ${error.message}`));
+                    workerProcess.kill();
+                    return;
+                }
+                console.log(`[Parent] Worker is ready (protocol v${version}). Sending it a task...`);
+                workerProcess.send(protocol.encode('accept', { version }));
+                // Send a task to the worker
+                workerProcess.send(protocol.encode('task', { id: 1, task: 'calculate', data: 1e7 }));
+                break;
+            }
+            case 'progress':
+                console.log(`[Parent] Worker progress: ${Math.round(message.done / message.total * 100)}%`);
+                break;
+            case 'result':
+                console.log(colors.green(`[Parent] Received result from worker: ${message.result}`));
+                // We're done with the worker, so we can kill it
+                workerProcess.kill();
+                break;
+            case 'error':
+                console.error(colors.red(`[Parent] Worker reported an error: ${message.message}`));
+                workerProcess.kill();
+                break;
         }
     });
 
@@ -117,6 +155,130 @@ async function runChildProcessExamples() {
 
     // Wait for the worker to exit before finishing the script
     await new Promise(res => workerProcess.on('exit', res));
+
+    // -----------------------------------------------------------------------------
+    // Example 5: A Pool of Forked Workers
+    //
+    // "Cutting Edge" takeaway: One worker per CPU core (see `planParallelTasks`
+    // in os-demo.js) gives you real parallelism, but the message choreography
+    // above doesn't scale by hand. A pool queues tasks, matches replies to
+    // requests by id, replaces crashed workers and enforces timeouts, leaving
+    // callers with a plain promise: `await pool.run('calculate', 1e7)`. Progress
+    // reports and cancellation (an AbortSignal) come with it.
+    // -----------------------------------------------------------------------------
+    console.log(colors.cyan.bold('\n--- Example 5: A Pool of Forked Workers ---'));
+    const pool = createWorkerPool({ size: os.cpus().length, timeout: 10000 });
+    console.log(colors.magenta(`Started a pool of ${pool.stats().size} workers.`));
+
+    const started = Date.now();
+    const results = await Promise.all([1e7, 2e7, 1e7, 2e7].map((iterations) => pool.run('calculate', iterations)));
+    console.log(colors.green(`[Parent] ${results.length} results in ${Date.now() - started}ms: ${results.map((result) => result.toFixed(2)).join(', ')}`));
+
+    try {
+        await pool.run('calculate', 1e10, { timeout: 200 });
+    } catch (error) {
+        if (!(error instanceof TaskTimeoutError)) throw error;
+        console.log(colors.yellow(`[Parent] ${error.message}; the worker was replaced.`));
+    }
+    try {
+        await pool.run('calculat', 1e7);
+    } catch (error) {
+        if (!(error instanceof TaskFailedError)) throw error;
+        console.log(colors.yellow(`[Parent] Task rejected by the worker: ${error.message}`));
+    }
+
+    const cancelAfterHalf = new AbortController();
+    try {
+        await pool.run('calculate', 2e7, {
+            signal: cancelAfterHalf.signal,
+            onProgress: ({ done, total }) => {
+                console.log(`[Parent] Progress: ${Math.round(done / total * 100)}%`);
+                if (done / total >= 0.5) cancelAfterHalf.abort();
+            },
+        });
+    } catch (error) {
+        if (!(error instanceof TaskCancelledError)) throw error;
+        console.log(colors.yellow(`[Parent] ${error.message} halfway; the worker stops and takes the next task.`));
+    }
+
+    console.log('[Parent] Pool stats:', pool.stats());
+    await pool.close();
+
+    // -----------------------------------------------------------------------------
+    // Example 6: The Same Pool on `worker_threads`
+    //
+    // "Cutting Edge" takeaway: Threads start faster than processes and can share
+    // memory. Buffers can be *transferred* to a thread (moved, not copied), and a
+    // result in a SharedArrayBuffer is read in place. Callers don't change: only
+    // the `backend` option does. Compare both with `node worker-pool.js --benchmark`.
+    // -----------------------------------------------------------------------------
+    console.log(colors.cyan.bold('\n--- Example 6: The Same Pool on `worker_threads` ---'));
+    const threadPool = createWorkerPool({ backend: 'thread' });
+    console.log(colors.green(`[Parent] Result from a thread: ${await threadPool.run('calculate', 1e7)}`));
+
+    const series = await threadPool.run('series', 1e6);
+    console.log(`[Parent] ${series.length} terms (${(series.byteLength / 1024 / 1024).toFixed(1)} MB) in a ${series.buffer.constructor.name}, read without a copy.`);
+
+    const input = new Float64Array(series);
+    const total = await threadPool.run('sum', input, { transfer: [input.buffer] });
+    console.log(`[Parent] Sum computed by the thread: ${total.toFixed(2)}; the transferred input now has ${input.byteLength} bytes here.`);
+    await threadPool.close();
+
+    // -----------------------------------------------------------------------------
+    // Example 7: Running Commands Safely
+    //
+    // "Cutting Edge" takeaway: Never build a shell command line from user input.
+    // `run(cmd, args)` (see command.js) spawns the program directly, like
+    // `execFile`, and adds what production code needs: a timeout that escalates
+    // from SIGTERM to SIGKILL, capped output buffers, line-by-line streaming and
+    // typed errors that carry stderr. The cmd`...` tag keeps the convenience of
+    // a command line: each interpolated value stays exactly one argument.
+    // -----------------------------------------------------------------------------
+    console.log(colors.cyan.bold('\n--- Example 7: Running Commands Safely ---'));
+    const { stdout: nodeVersion } = await run(process.execPath, ['--version']);
+    console.log(colors.green(`Node.js version: ${nodeVersion.trim()}`));
+
+    const userInput = 'report.txt; rm -rf ~';
+    const echoArgs = 'console.log(JSON.stringify(process.argv.slice(1)))';
+    const { stdout: receivedArgs } = await cmd`${process.execPath} -e ${echoArgs} ${userInput}`;
+    console.log(`Arguments the program received: ${receivedArgs.trim()}`);
+
+    await run(process.execPath, ['-e', 'for (let i = 1; i <= 3; i++) console.log(`line ${i}`)'], {
+        onStdout: (line) => console.log(colors.magenta(`[stdout] ${line}`)),
+    });
+
+    try {
+        await run(process.execPath, ['-e', 'console.error("disk full"); process.exit(2)']);
+    } catch (error) {
+        if (!(error instanceof CommandError)) throw error;
+        console.log(colors.yellow(`CommandError: exit code ${error.exitCode}, stderr: ${error.stderr.trim()}`));
+    }
+
+    try {
+        // This command ignores SIGTERM, so it takes a SIGKILL to stop it.
+        await run(process.execPath, ['-e', 'process.on("SIGTERM", () => {}); setInterval(() => {}, 1000)'], { timeout: 300, killTimeout: 300 });
+    } catch (error) {
+        if (!(error instanceof CommandTimeoutError)) throw error;
+        console.log(colors.yellow(`CommandTimeoutError: stopped with ${error.signal} after ignoring SIGTERM`));
+    }
+
+    // -----------------------------------------------------------------------------
+    // Example 8: Supervising Long-Running Processes
+    //
+    // "Cutting Edge" takeaway: The examples above fire and forget: if a child
+    // dies, nobody notices. A supervisor (see supervisor.js) starts named
+    // processes from a config file, waits for their IPC 'ready' message,
+    // restarts them according to a policy with exponential backoff, and stops
+    // them in order on shutdown. Run it for real with `node supervisor.js`.
+    // -----------------------------------------------------------------------------
+    console.log(colors.cyan.bold('\n--- Example 8: Supervising Long-Running Processes ---'));
+    const supervisorConfig = loadConfig(path.join(__dirname, 'supervisor.json'));
+    const supervisor = createSupervisor(supervisorConfig);
+    await supervisor.start();
+    // Give the 'flaky' process time to crash and be restarted.
+    await new Promise(res => setTimeout(res, 3000));
+    console.log(formatStatus(supervisorConfig));
+    await supervisor.stop();
     console.log('\nAll examples complete.');
 }
 
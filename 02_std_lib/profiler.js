@@ -0,0 +1,184 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { createHistogram, performance } = require('perf_hooks');
+const { renderTable, formatters } = require('./table');
+
+// Hierarchical timers, the long-lived counterpart of console.time().
+//
+// - `profiler.span(name, fn)` times `fn` (sync or async). Spans started while
+//   another span is running become its children, also across `await`s and
+//   timers, because the current span is tracked with AsyncLocalStorage.
+// - Every run of the same span path ("bench > fill") is recorded in a
+//   perf_hooks histogram, so repeated runs report runs/min/mean/p95/max
+//   instead of one number that scrolls away.
+// - `profiler.bench(name, fn, { runs, warmup })` runs `fn` repeatedly.
+// - `profiler.report()` renders everything as a table (or markdown/csv/json).
+//
+//   const profiler = createProfiler();
+//   profiler.bench('build', () => {
+//       const items = profiler.span('allocate', () => new Array(N));
+//       profiler.span('fill', () => items.fill(0));
+//   }, { runs: 10 });
+//   console.log(profiler.report());
+
+const SEPARATOR = ' > ';
+
+// Store for bench() warmup runs: spans started under it are not recorded.
+const DISCARD = { discard: true };
+
+// Histograms record integer nanoseconds; report in milliseconds.
+const toMs = (ns) => ns / 1e6;
+
+function isThenable(value) {
+    return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+}
+
+function createProfiler() {
+    const storage = new AsyncLocalStorage();
+    const nodes = new Map();
+    const roots = [];
+
+    function nodeFor(name) {
+        const parent = storage.getStore();
+        if (parent && parent.discard) {
+            return DISCARD;
+        }
+        const path = parent ? parent.path + SEPARATOR + name : name;
+        if (!nodes.has(path)) {
+            const node = {
+                name,
+                path,
+                depth: parent ? parent.depth + 1 : 0,
+                children: [],
+                histogram: createHistogram(),
+                total: 0,
+                min: Infinity,
+                max: 0,
+            };
+            nodes.set(path, node);
+            (parent ? parent.children : roots).push(node);
+        }
+        return nodes.get(path);
+    }
+
+    // The histogram only provides the percentiles; total, min and max are kept
+    // exactly because the histogram rounds its buckets.
+    function record(node, startedAt) {
+        if (node.discard) return;
+        const ns = Math.max(1, Math.round((performance.now() - startedAt) * 1e6));
+        node.histogram.record(ns);
+        node.total += ns;
+        node.min = Math.min(node.min, ns);
+        node.max = Math.max(node.max, ns);
+    }
+
+    // For code that can't be wrapped in a callback. The span is measured, but
+    // it does not become the parent of spans started before end() is called.
+    function start(name) {
+        const node = nodeFor(name);
+        const startedAt = performance.now();
+        let ended = false;
+        return {
+            end() {
+                if (ended) return;
+                ended = true;
+                record(node, startedAt);
+            },
+        };
+    }
+
+    // Returns whatever `fn` returns; a promise result is timed until it settles.
+    function span(name, fn) {
+        const node = nodeFor(name);
+        const startedAt = performance.now();
+        let result;
+        try {
+            result = storage.run(node, fn);
+        } catch (error) {
+            record(node, startedAt);
+            throw error;
+        }
+        if (!isThenable(result)) {
+            record(node, startedAt);
+            return result;
+        }
+        return Promise.resolve(result).finally(() => record(node, startedAt));
+    }
+
+    function statsOf(node) {
+        const runs = node.histogram.count;
+        return {
+            name: node.name,
+            path: node.path,
+            depth: node.depth,
+            runs,
+            total: toMs(node.total),
+            min: toMs(node.min),
+            mean: toMs(node.total / runs),
+            p95: toMs(Math.min(node.histogram.percentile(95), node.max)),
+            max: toMs(node.max),
+        };
+    }
+
+    // Depth-first, children in the order they first ran. Spans that were
+    // started but never finished have no runs and are left out.
+    function stats() {
+        const result = [];
+        const visit = (node) => {
+            if (node.histogram.count > 0) result.push(statsOf(node));
+            node.children.forEach(visit);
+        };
+        roots.forEach(visit);
+        return result;
+    }
+
+    // Runs `fn` `warmup` times unrecorded, then `runs` times as a span. Stays
+    // synchronous for synchronous functions and returns a promise otherwise;
+    // either way the result is the span's statistics.
+    function bench(name, fn, { runs = 10, warmup = 0 } = {}) {
+        if (!Number.isInteger(runs) || runs < 1) {
+            throw new TypeError('bench() needs "runs" to be a positive integer');
+        }
+        const parent = storage.getStore();
+        const path = parent ? parent.path + SEPARATOR + name : name;
+        let done = 0;
+        const next = () => {
+            while (done < warmup + runs) {
+                const result = done++ < warmup ? storage.run(DISCARD, fn) : span(name, fn);
+                if (isThenable(result)) {
+                    return Promise.resolve(result).then(next);
+                }
+            }
+            return statsOf(nodes.get(path));
+        };
+        return next();
+    }
+
+    function reset() {
+        nodes.clear();
+        roots.length = 0;
+    }
+
+    // `format` is 'text' (default), 'markdown', 'csv' or 'json'. Times are in
+    // milliseconds; JSON keeps them as numbers and uses the full span path.
+    function report({ format = 'text', digits = 3 } = {}) {
+        const ms = formatters.number(digits);
+        const timeColumns = ['total', 'min', 'mean', 'p95', 'max'].map((key) => ({
+            key,
+            header: format === 'json' ? key : `${key} (ms)`,
+            align: 'right',
+            format: ms,
+        }));
+        const columns = format === 'json'
+            ? [{ key: 'path' }, { key: 'runs' }, ...timeColumns]
+            : [
+                { key: 'name', header: 'span', format: (name, row) => '  '.repeat(row.depth) + name },
+                { key: 'runs' },
+                ...timeColumns,
+            ];
+        return renderTable(stats(), { columns, format });
+    }
+
+    return { span, start, bench, stats, report, reset };
+}
+
+module.exports = { createProfiler };
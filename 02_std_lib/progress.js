@@ -0,0 +1,293 @@
+const cliProgress = require('cli-progress');
+const colors = require('ansi-colors');
+
+// Progress reporting that works in a terminal, in CI logs and for machines.
+//
+// Work reports into tasks; a renderer decides what that looks like:
+//
+// - 'tty':    live cli-progress bars (one per task), redrawn in place
+// - 'text':   a plain line per task every `interval` ms, for CI logs where
+//             carriage returns and cursor movement turn into garbage
+// - 'ndjson': one JSON event per line (start/progress/log/done/fail), for
+//             tools that parse the output
+//
+// The mode is detected from the output stream ('tty' on a terminal outside
+// CI, 'text' otherwise) unless it is passed explicitly or set with the
+// PROGRESS_MODE environment variable.
+//
+// A task without a total is indeterminate: it shows a spinner, a bouncing
+// shuttle and the elapsed time (heartbeat lines in text/ndjson output) until
+// setTotal() is called, e.g. once a Content-Length or file size is known, and
+// from then on it is an ordinary bar.
+//
+//   const progress = createProgress();
+//   const task = progress.task('Download', { total: 200, payload: { file: 'a.zip' } });
+//   task.increment(10, { speed: '4.2 MB/s' });
+//   task.log('Mirror switched');
+//   task.done();
+//   progress.stop();
+
+const MODES = ['tty', 'text', 'ndjson'];
+
+function detectMode(stream) {
+    if (process.env.PROGRESS_MODE) return process.env.PROGRESS_MODE;
+    return stream.isTTY && !process.env.CI ? 'tty' : 'text';
+}
+
+function percentage(task) {
+    return task.total > 0 ? Math.min(100, Math.floor((task.value / task.total) * 100)) : null;
+}
+
+function formatPayload(payload) {
+    return Object.entries(payload)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${key}: ${value}`)
+        .join(' | ');
+}
+
+function formatElapsed(ms) {
+    return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+const SPINNER = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+const SPINNER_FRAME_MS = 80;
+const SHUTTLE_WIDTH = 8;
+const SHUTTLE_STEP_MS = 40;
+
+// A block that moves from one end of the bar to the other and back.
+function shuttle(width, elapsed) {
+    const block = Math.min(SHUTTLE_WIDTH, width);
+    const travel = width - block;
+    const step = Math.floor(elapsed / SHUTTLE_STEP_MS) % (2 * travel || 1);
+    const position = step <= travel ? step : 2 * travel - step;
+    return '░'.repeat(position) + '█'.repeat(block) + '░'.repeat(travel - position);
+}
+
+// Live bars through a cli-progress MultiBar. `format` may use {name},
+// {details} (the payload as "key: value | ...") and {status} (empty while
+// running, then ✔ and the duration or ✖ and the error) besides the usual
+// cli-progress tokens and any payload key; payload keys win over cli-progress
+// tokens of the same name, so a measured {eta} is shown as is.
+function ttyRenderer({ stream, format = ' {bar} {percentage}% | {value}/{total} | {name} {details} {status}', barOptions = {} }) {
+    const bars = new Map();
+
+    const formatLine = (options, params, { task, error }) => {
+        const details = formatPayload(task.payload);
+        if (task.indeterminate) {
+            const elapsed = formatElapsed(task.elapsed);
+            if (error) return ` ${colors.red('✖')} ${task.name} ${colors.red(error.message)}`;
+            if (task.finished) return ` ${colors.green('✔')} ${task.name} ${colors.dim(`done in ${elapsed}`)} ${details}`;
+            const spinner = SPINNER[Math.floor(task.elapsed / SPINNER_FRAME_MS) % SPINNER.length];
+            return ` ${colors.cyan(spinner)} ${colors.cyan(shuttle(options.barsize, task.elapsed))} ${task.name} ${colors.dim(elapsed)} ${details}`;
+        }
+        let status = '';
+        if (error) status = colors.red(`✖ ${error.message}`);
+        else if (task.finished) status = colors.green(`✔ ${formatElapsed(task.elapsed)}`);
+        const values = { ...task.payload, name: task.name, details, status };
+        const template = format.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+        return cliProgress.Format.Formatter({ ...options, format: template }, params, values);
+    };
+
+    const multiBar = new cliProgress.MultiBar({
+        stream,
+        format: formatLine,
+        clearOnComplete: false,
+        hideCursor: true,
+        ...barOptions,
+    }, cliProgress.Presets.shades_classic);
+
+    // Lines are formatted from the task itself at the MultiBar's frame rate, even
+    // without updates, which keeps the spinner of an indeterminate task moving.
+    return {
+        start(task) {
+            bars.set(task, multiBar.create(task.total, task.value, { task }));
+        },
+        update(task) {
+            const bar = bars.get(task);
+            if (bar.getTotal() !== task.total) bar.setTotal(task.total);
+            bar.update(task.value, { task });
+        },
+        log(message) {
+            multiBar.log(message + '\n');
+        },
+        finish(task, error) {
+            bars.get(task).update(task.value, { task, error });
+        },
+        stop() {
+            multiBar.stop();
+        },
+    };
+}
+
+// Shared by the text and ndjson renderers: changes are collected and written
+// at most once per `interval`, while start/finish/log are written at once.
+// Indeterminate tasks are written every interval even without changes, as a
+// heartbeat, so a CI log never goes silent during a long wait.
+function periodicRenderer({ interval, writeStart, writeUpdate, writeLog, writeFinish }) {
+    const dirty = new Set();
+    const active = new Set();
+    const flush = () => {
+        active.forEach((task) => {
+            if (task.indeterminate) dirty.add(task);
+        });
+        dirty.forEach(writeUpdate);
+        dirty.clear();
+    };
+    const timer = setInterval(flush, interval);
+    timer.unref();
+
+    return {
+        start(task) {
+            active.add(task);
+            writeStart(task);
+        },
+        update(task) {
+            dirty.add(task);
+        },
+        log: writeLog,
+        finish(task, error) {
+            active.delete(task);
+            dirty.delete(task);
+            writeFinish(task, error);
+        },
+        stop() {
+            clearInterval(timer);
+            flush();
+        },
+    };
+}
+
+function textRenderer({ stream, interval }) {
+    const write = (line) => stream.write(line + '\n');
+    const describe = (task) => {
+        const percent = percentage(task);
+        const amount = percent === null
+            ? `${task.value > 0 ? `${task.value}, ` : ''}running for ${formatElapsed(task.elapsed)}`
+            : `${percent}% (${task.value}/${task.total})`;
+        const details = formatPayload(task.payload);
+        return `[${task.name}] ${amount}${details ? ` ${details}` : ''}`;
+    };
+    return periodicRenderer({
+        interval,
+        writeStart: (task) => write(`[${task.name}] started${task.total > 0 ? `, total ${task.total}` : ''}`),
+        writeUpdate: (task) => write(describe(task)),
+        writeLog: write,
+        writeFinish: (task, error) => {
+            const details = formatPayload(task.payload);
+            write(error
+                ? `[${task.name}] failed after ${formatElapsed(task.elapsed)}: ${error.message}`
+                : `[${task.name}] done in ${formatElapsed(task.elapsed)} (${task.value}${task.total > 0 ? `/${task.total}` : ''})${details ? ` ${details}` : ''}`);
+        },
+    });
+}
+
+function ndjsonRenderer({ stream, interval }) {
+    const emit = (event, task, extra = {}) => stream.write(JSON.stringify({
+        time: new Date().toISOString(),
+        event,
+        ...(task ? { task: task.name, value: task.value, total: task.total, payload: task.payload } : {}),
+        ...extra,
+    }) + '\n');
+    return periodicRenderer({
+        interval,
+        writeStart: (task) => emit('start', task),
+        writeUpdate: (task) => emit('progress', task, {
+            percentage: percentage(task),
+            elapsedMs: Math.round(task.elapsed),
+        }),
+        writeLog: (message) => emit('log', null, { message: colors.unstyle(message) }),
+        writeFinish: (task, error) => emit(error ? 'fail' : 'done', task, {
+            elapsedMs: Math.round(task.elapsed),
+            ...(error ? { error: error.message } : {}),
+        }),
+    });
+}
+
+const RENDERERS = { tty: ttyRenderer, text: textRenderer, ndjson: ndjsonRenderer };
+
+class ProgressTask {
+    constructor(name, { total = 0, value = 0, payload = {} }, renderer) {
+        this.name = name;
+        this.total = total;
+        this.value = value;
+        this.payload = { ...payload };
+        this.startedAt = Date.now();
+        this.finished = false;
+        this.renderer = renderer;
+        renderer.start(this);
+    }
+
+    get elapsed() {
+        return (this.finishedAt || Date.now()) - this.startedAt;
+    }
+
+    // No total yet: progress can be reported, but not as a percentage.
+    get indeterminate() {
+        return !(this.total > 0);
+    }
+
+    update(value, payload = {}) {
+        if (this.finished) return;
+        this.value = value;
+        Object.assign(this.payload, payload);
+        this.renderer.update(this);
+    }
+
+    increment(step = 1, payload = {}) {
+        this.update(this.value + step, payload);
+    }
+
+    setTotal(total) {
+        if (this.finished) return;
+        this.total = total;
+        this.renderer.update(this);
+    }
+
+    log(message) {
+        this.renderer.log(message);
+    }
+
+    done(payload = {}) {
+        this.finish(null, payload);
+    }
+
+    fail(error, payload = {}) {
+        this.finish(error instanceof Error ? error : new Error(String(error)), payload);
+    }
+
+    finish(error, payload) {
+        if (this.finished) return;
+        Object.assign(this.payload, payload);
+        if (!error && this.total > 0) this.value = this.total;
+        this.finished = true;
+        this.finishedAt = Date.now();
+        this.renderer.finish(this, error);
+    }
+}
+
+function createProgress({ mode, stream = process.stderr, interval = 1000, ...rendererOptions } = {}) {
+    const resolvedMode = mode || detectMode(stream);
+    if (!MODES.includes(resolvedMode)) {
+        throw new TypeError(`Unknown progress mode "${resolvedMode}". Use one of: ${MODES.join(', ')}`);
+    }
+    const renderer = RENDERERS[resolvedMode]({ stream, interval, ...rendererOptions });
+    let stopped = false;
+
+    return {
+        mode: resolvedMode,
+        task(name, options = {}) {
+            if (stopped) throw new Error('Progress reporter has been stopped');
+            return new ProgressTask(name, options, renderer);
+        },
+        log(message) {
+            renderer.log(message);
+        },
+        stop() {
+            if (stopped) return;
+            stopped = true;
+            renderer.stop();
+        },
+    };
+}
+
+module.exports = { createProgress, ProgressTask, MODES };
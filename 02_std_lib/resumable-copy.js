@@ -0,0 +1,236 @@
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { writeFileAtomic } = require('./safe-write');
+const { ThroughputMeter } = require('./throughput');
+
+// Large file copies that survive interruptions and prove their result.
+//
+// - The copy goes to `<dest>.partial`. Every `checkpointBytes` the partial
+//   file is fsynced and the offset is recorded in the sidecar
+//   `<dest>.copy-state.json` (written atomically). Running the same copy again
+//   resumes from that offset, as long as the source's size and mtime are
+//   unchanged; otherwise it starts over.
+// - The source is hashed (SHA-256) while it is streamed. The finished partial
+//   file is then read back from disk and hashed as well: hashing the bytes in
+//   memory would only prove that the copy loop works, not what landed on disk.
+//   Only when both hashes match is the partial renamed to `dest`.
+// - Mode, access and modification times of the source are applied to `dest`.
+// - copyTree() copies a directory tree, skipping files whose size and mtime
+//   already match (that is how an interrupted tree copy resumes).
+//
+//   const result = await copyFile('big.iso', 'backup/big.iso', { signal });
+//   // { bytes, resumedFrom, sha256, skipped: false }
+//
+// Options: `checkpointBytes`, `signal` (abort; the copy resumes next time),
+// `task` (a progress task, fed through a ThroughputMeter) and `onCheckpoint`
+// (called with the offset after each checkpoint).
+
+class CopyVerificationError extends Error {
+    constructor(message, expected, actual) {
+        super(message);
+        this.name = this.constructor.name;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+const STATE_VERSION = 1;
+
+const partialPath = (dest) => `${dest}.partial`;
+const statePath = (dest) => `${dest}.copy-state.json`;
+
+async function hashFile(file, { start = 0, end } = {}) {
+    // Returns the Hash object rather than a digest, so more data can be added.
+    const hash = crypto.createHash('sha256');
+    if (end === undefined || end > start) {
+        for await (const chunk of fsSync.createReadStream(file, { start, end: end === undefined ? undefined : end - 1 })) {
+            hash.update(chunk);
+        }
+    }
+    return hash;
+}
+
+async function readState(dest) {
+    try {
+        return JSON.parse(await fs.readFile(statePath(dest), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+        throw error;
+    }
+}
+
+// Where an earlier, interrupted copy of the same source left off; 0 if there
+// is nothing usable to resume.
+async function resumeOffset(source, sourceStats, dest) {
+    const state = await readState(dest);
+    if (!state || state.version !== STATE_VERSION || state.source !== source ||
+        state.size !== sourceStats.size || state.mtimeMs !== sourceStats.mtimeMs) {
+        return 0;
+    }
+    try {
+        const { size } = await fs.stat(partialPath(dest));
+        return size >= state.offset ? state.offset : 0;
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+}
+
+// Writes chunks at explicit positions, feeds them into the hash and records a
+// checkpoint every `checkpointBytes`.
+class CheckpointWriter extends Writable {
+    constructor({ handle, position, hash, checkpointBytes, checkpoint, onCheckpoint }) {
+        super();
+        this.handle = handle;
+        this.position = position;
+        this.hash = hash;
+        this.checkpointBytes = checkpointBytes;
+        this.checkpoint = checkpoint;
+        this.lastCheckpoint = position;
+        this.onCheckpoint = onCheckpoint;
+    }
+
+    _write(chunk, encoding, callback) {
+        this.writeChunk(chunk).then(() => callback(), callback);
+    }
+
+    async writeChunk(chunk) {
+        await this.handle.write(chunk, 0, chunk.length, this.position);
+        this.position += chunk.length;
+        this.hash.update(chunk);
+        if (this.position - this.lastCheckpoint >= this.checkpointBytes) {
+            await this.handle.sync();
+            await this.checkpoint(this.position);
+            this.lastCheckpoint = this.position;
+            if (this.onCheckpoint) this.onCheckpoint(this.position);
+        }
+    }
+
+    _final(callback) {
+        this.handle.sync().then(() => callback(), callback);
+    }
+}
+
+async function preserveAttributes(target, stats) {
+    await fs.chmod(target, stats.mode & 0o7777);
+    await fs.utimes(target, stats.atime, stats.mtime);
+}
+
+async function copyFile(source, dest, { checkpointBytes = 8 * 1024 * 1024, signal, task, onCheckpoint } = {}) {
+    source = path.resolve(source);
+    dest = path.resolve(dest);
+    const sourceStats = await fs.stat(source);
+    await fs.mkdir(path.dirname(dest), { recursive: true });
+
+    const offset = await resumeOffset(source, sourceStats, dest);
+    const saveState = (position) => writeFileAtomic(statePath(dest), JSON.stringify({
+        version: STATE_VERSION,
+        source,
+        size: sourceStats.size,
+        mtimeMs: sourceStats.mtimeMs,
+        offset: position,
+    }));
+
+    // Bytes past the last checkpoint may not have reached the disk; redo them.
+    const handle = await fs.open(partialPath(dest), offset > 0 ? 'r+' : 'w');
+    let sourceHash;
+    try {
+        await handle.truncate(offset);
+        await saveState(offset);
+        // A hash can't be saved and restored, so re-read the part that was
+        // already copied; reading is much cheaper than copying it again.
+        sourceHash = await hashFile(source, { end: offset });
+
+        const streams = [fsSync.createReadStream(source, { start: offset })];
+        if (task) {
+            streams.push(new ThroughputMeter({ total: sourceStats.size - offset, offset, task }));
+        }
+        streams.push(new CheckpointWriter({ handle, position: offset, hash: sourceHash, checkpointBytes, checkpoint: saveState, onCheckpoint }));
+        await pipeline(streams, { signal });
+    } finally {
+        await handle.close();
+    }
+
+    const expected = sourceHash.digest('hex');
+    const actual = (await hashFile(partialPath(dest))).digest('hex');
+    if (expected !== actual) {
+        await fs.rm(partialPath(dest), { force: true });
+        await fs.rm(statePath(dest), { force: true });
+        throw new CopyVerificationError(`Copy of ${path.basename(source)} does not match the source (sha256 ${actual} != ${expected})`, expected, actual);
+    }
+
+    await preserveAttributes(partialPath(dest), sourceStats);
+    await fs.rename(partialPath(dest), dest);
+    await fs.rm(statePath(dest), { force: true });
+    return { bytes: sourceStats.size, resumedFrom: offset, sha256: expected, skipped: false };
+}
+
+// The real path of `target`, or of its closest existing ancestor with the
+// rest appended: the destination usually doesn't exist yet.
+async function realpathOfNearest(target) {
+    try {
+        return await fs.realpath(target);
+    } catch (error) {
+        if (error.code !== 'ENOENT' || path.dirname(target) === target) throw error;
+        return path.join(await realpathOfNearest(path.dirname(target)), path.basename(target));
+    }
+}
+
+async function isUpToDate(sourceStats, dest) {
+    try {
+        const destStats = await fs.stat(dest);
+        return destStats.size === sourceStats.size && Math.trunc(destStats.mtimeMs) === Math.trunc(sourceStats.mtimeMs);
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+// Copies files, directories and symlinks below `source` into `dest`. Resolves
+// with one entry per file: { path, bytes, resumedFrom, sha256, skipped }, where
+// `path` is relative to `source`. `onFile` is called after each file.
+async function copyTree(source, dest, { onFile, ...options } = {}) {
+    source = path.resolve(source);
+    dest = path.resolve(dest);
+    // A destination inside the source would be copied into itself, again and again.
+    const [realSource, realDest] = await Promise.all([source, dest].map(realpathOfNearest));
+    const relative = path.relative(realSource, realDest);
+    if (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative)) {
+        throw new Error(`Cannot copy ${source} into itself (${dest})`);
+    }
+    const results = [];
+
+    const copyDirectory = async (from, to) => {
+        const stats = await fs.stat(from);
+        await fs.mkdir(to, { recursive: true });
+        for (const entry of await fs.readdir(from, { withFileTypes: true })) {
+            const fromPath = path.join(from, entry.name);
+            const toPath = path.join(to, entry.name);
+            if (entry.isDirectory()) {
+                await copyDirectory(fromPath, toPath);
+            } else if (entry.isSymbolicLink()) {
+                await fs.rm(toPath, { force: true });
+                await fs.symlink(await fs.readlink(fromPath), toPath);
+            } else if (entry.isFile()) {
+                const fileStats = await fs.stat(fromPath);
+                const result = await isUpToDate(fileStats, toPath)
+                    ? { bytes: fileStats.size, resumedFrom: 0, sha256: null, skipped: true }
+                    : await copyFile(fromPath, toPath, options);
+                const entryResult = { path: path.relative(source, fromPath).split(path.sep).join('/'), ...result };
+                results.push(entryResult);
+                if (onFile) onFile(entryResult);
+            }
+        }
+        // Last, because adding entries changes the directory's mtime.
+        await preserveAttributes(to, stats);
+    };
+
+    await copyDirectory(source, dest);
+    return results;
+}
+
+module.exports = { copyFile, copyTree, hashFile, CopyVerificationError };
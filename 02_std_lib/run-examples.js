@@ -0,0 +1,88 @@
+// Runs the example scripts in this directory as a suite, each in its own
+// process, and prints a results table.
+//
+//   node run-examples.js                    # all examples
+//   node run-examples.js buffer file        # only these
+//   node run-examples.js --concurrency 2    # default: one per CPU core
+//
+// An example fails when it exits with a non-zero code or runs longer than its
+// timeout. Its output is only shown on failure.
+//
+// Heavy examples (file.js copies a 100 MB file and watches a directory for 20
+// seconds; processes.js keeps worker processes busy) run one at a time after
+// the others, with more time: run alongside everything else on a small
+// machine, they would make each other slow enough to time out.
+
+const { execFile } = require('child_process');
+const path = require('path');
+const { createTaskRunner, formatResults } = require('./task-runner');
+
+const TIMEOUT_MS = 60 * 1000;
+
+const EXAMPLES = [
+    { name: 'buffer' },
+    { name: 'console' },
+    { name: 'os-demo' },
+    { name: 'file', heavy: true, timeout: 180 * 1000 },
+    { name: 'processes', heavy: true, timeout: 120 * 1000 },
+    { name: 'console-progress' },
+];
+
+function runExample({ name, timeout = TIMEOUT_MS }) {
+    return new Promise((resolve, reject) => {
+        const script = path.join(__dirname, `${name}.js`);
+        execFile(process.execPath, [script], { cwd: __dirname, timeout, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                const reason = error.killed ? `timed out after ${timeout / 1000}s` : `exited with code ${error.code}`;
+                // Prefer the "SomeError: message" line of an uncaught exception.
+                const lines = stderr.trim().split('\n');
+                const summary = lines.find((line) => /^\w*Error\b/.test(line)) || lines.pop();
+                const failure = new Error(`${reason}${summary ? `: ${summary}` : ''}`);
+                failure.output = stdout + stderr;
+                reject(failure);
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const options = {};
+    const concurrencyIndex = args.indexOf('--concurrency');
+    if (concurrencyIndex !== -1) {
+        options.concurrency = Number(args.splice(concurrencyIndex, 2)[1]);
+    }
+    const names = EXAMPLES.map((example) => example.name);
+    const unknown = args.filter((name) => !names.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown example(s): ${unknown.join(', ')}. Available: ${names.join(', ')}`);
+    }
+
+    const selected = args.length > 0 ? EXAMPLES.filter((example) => args.includes(example.name)) : EXAMPLES;
+    const results = [];
+    const phases = [
+        [selected.filter((example) => !example.heavy), options],
+        [selected.filter((example) => example.heavy), { ...options, concurrency: 1 }],
+    ];
+    for (const [examples, runnerOptions] of phases) {
+        if (examples.length === 0) continue;
+        const runner = createTaskRunner(runnerOptions);
+        examples.forEach((example) => runner.add(`${example.name}.js`, () => runExample(example)));
+        results.push(...await runner.run());
+    }
+
+    for (const { name, error } of results) {
+        if (error && error.output) {
+            console.log(`\n--- Output of ${name} ---\n${error.output.trimEnd()}`);
+        }
+    }
+    console.log(formatResults(results));
+    process.exitCode = results.every((result) => result.status === 'ok') ? 0 : 1;
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,283 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Crash-safe file writes.
+//
+// `fs.writeFile()` truncates the target and then writes into it, so a crash or
+// power loss in between leaves a truncated file. Three tools against that:
+//
+// - writeFileAtomic(): write a temp file next to the target, fsync it, rename
+//   it over the target and fsync the directory. Readers see the old or the new
+//   content, never a mix.
+// - acquireLock()/withLock(): an advisory `<file>.lock` so two processes don't
+//   clobber each other's read-modify-write. A lock whose owner died (same
+//   host, PID gone) or that was not refreshed for `stale` ms is taken over.
+// - openJournal(): an append-only log of records, fsynced every
+//   `fsyncInterval` ms; readJournal() skips a torn last line after a crash.
+
+class LockError extends Error {
+    constructor(message, lockFile, owner) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = 'ELOCKED';
+        this.lockFile = lockFile;
+        this.owner = owner;
+    }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Makes a rename or file creation in `dir` durable. Not every platform can
+// open a directory for fsync (Windows can't); there the rename has to do.
+async function fsyncDirectory(dir) {
+    let handle;
+    try {
+        handle = await fs.open(dir, 'r');
+        await handle.sync();
+    } catch (error) {
+        if (!['EISDIR', 'EPERM', 'EACCES', 'EINVAL'].includes(error.code)) throw error;
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+async function writeFileAtomic(file, data, { encoding = 'utf8', mode } = {}) {
+    const target = path.resolve(file);
+    const dir = path.dirname(target);
+    const temp = path.join(dir, `.${path.basename(target)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+    // Keep the permissions of the file we replace, unless told otherwise.
+    if (mode === undefined) {
+        try {
+            mode = (await fs.stat(target)).mode & 0o7777;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            mode = 0o666;
+        }
+    }
+
+    let handle;
+    try {
+        handle = await fs.open(temp, 'wx', mode);
+        await handle.writeFile(data, { encoding });
+        await handle.sync();
+        await handle.close();
+        handle = null;
+        await fs.rename(temp, target);
+    } catch (error) {
+        if (handle) await handle.close().catch(() => {});
+        await fs.rm(temp, { force: true });
+        throw error;
+    }
+    await fsyncDirectory(dir);
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+async function readLockOwner(lockFile) {
+    try {
+        const [content, stats] = await Promise.all([fs.readFile(lockFile, 'utf8'), fs.stat(lockFile)]);
+        let owner = {};
+        try {
+            owner = JSON.parse(content);
+        } catch (error) {
+            // A lock file torn by a crash is still a lock; judge it by its age.
+        }
+        return { ...owner, mtimeMs: stats.mtimeMs };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+function isStale(owner, stale) {
+    if (Date.now() - owner.mtimeMs > stale) return true;
+    return owner.hostname === os.hostname() && Number.isInteger(owner.pid) && !isProcessAlive(owner.pid);
+}
+
+function sameOwner(a, b) {
+    return a.token === b.token && a.pid === b.pid && a.acquiredAt === b.acquiredAt;
+}
+
+// Removes `lockFile` only if `expected(owner)` holds for the lock actually
+// removed. Reading first and deleting after would race with another process
+// replacing the lock in between, so the lock is renamed aside (atomic), checked
+// there, and put back if it turns out to be someone else's.
+async function removeLockIf(lockFile, expected) {
+    const aside = `${lockFile}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.aside`;
+    try {
+        await fs.rename(lockFile, aside);
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+    const moved = await readLockOwner(aside);
+    const removed = moved !== null && expected(moved);
+    if (!removed) {
+        // link() fails instead of overwriting: should yet another process have
+        // created a lock meanwhile, that one stays, and the owner we displaced
+        // finds out on its next refresh or release.
+        try {
+            await fs.link(aside, lockFile);
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+    await fs.rm(aside, { force: true });
+    return removed;
+}
+
+// Resolves with a lock handle ({ file, release() }) once `<file>.lock` could be
+// created. Waits up to `wait` ms for another owner to release it, then fails
+// with a LockError. While held, the lock file's mtime is refreshed so a
+// long-running owner isn't mistaken for a stale one.
+async function acquireLock(file, { stale = 10000, wait = 5000, retryInterval = 50 } = {}) {
+    const lockFile = `${path.resolve(file)}.lock`;
+    const deadline = Date.now() + wait;
+    // Identifies this lock, so neither we nor anyone else acts on a lock that
+    // was taken over and recreated under the same name.
+    const self = { pid: process.pid, hostname: os.hostname(), acquiredAt: null, token: crypto.randomBytes(8).toString('hex') };
+    const isOurs = (owner) => owner !== null && sameOwner(owner, self);
+
+    for (;;) {
+        try {
+            const handle = await fs.open(lockFile, 'wx');
+            self.acquiredAt = new Date().toISOString();
+            await handle.writeFile(JSON.stringify(self));
+            await handle.close();
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        const owner = await readLockOwner(lockFile);
+        if (owner && isStale(owner, stale)) {
+            // Several processes may notice the same stale lock; one of them may
+            // already have replaced it with its own by the time we get to it.
+            await removeLockIf(lockFile, (moved) => sameOwner(moved, owner) && isStale(moved, stale));
+            continue;
+        }
+        if (Date.now() >= deadline) {
+            throw new LockError(`${path.basename(file)} is locked${owner && owner.pid ? ` by PID ${owner.pid}` : ''}`, lockFile, owner);
+        }
+        await sleep(retryInterval);
+    }
+
+    // Stops refreshing once the lock is no longer ours (it was taken over as
+    // stale), rather than keeping the new owner's lock fresh.
+    const refresh = setInterval(() => {
+        readLockOwner(lockFile).then((owner) => {
+            if (!isOurs(owner)) {
+                clearInterval(refresh);
+                return;
+            }
+            const now = new Date();
+            return fs.utimes(lockFile, now, now);
+        }).catch(() => {});
+    }, Math.max(10, stale / 2));
+    refresh.unref();
+
+    let released = false;
+    return {
+        file: lockFile,
+        async release() {
+            if (released) return;
+            released = true;
+            clearInterval(refresh);
+            await removeLockIf(lockFile, isOurs);
+        },
+    };
+}
+
+async function withLock(file, fn, options) {
+    const lock = await acquireLock(file, options);
+    try {
+        return await fn();
+    } finally {
+        await lock.release();
+    }
+}
+
+// Appends one record per line, as JSON (strings too, so they read back
+// unchanged and JSON escapes their newlines). With `fsyncInterval: 0` every
+// append is fsynced before it resolves; otherwise appended records reach the
+// disk at most `fsyncInterval` ms later, trading a small loss window for speed.
+async function openJournal(file, { fsyncInterval = 1000 } = {}) {
+    const handle = await fs.open(file, 'a');
+    await fsyncDirectory(path.dirname(path.resolve(file)));
+    let dirty = false;
+    let closed = false;
+    let writing = Promise.resolve();
+
+    const flush = async () => {
+        await writing;
+        if (!dirty || closed) return;
+        dirty = false;
+        await handle.sync();
+    };
+    const timer = fsyncInterval > 0 ? setInterval(() => flush().catch(() => {}), fsyncInterval) : null;
+    if (timer) timer.unref();
+
+    return {
+        append(record) {
+            if (closed) return Promise.reject(new Error('Journal is closed'));
+            const json = JSON.stringify(record);
+            if (json === undefined) {
+                return Promise.reject(new TypeError(`Journal records must be JSON-serializable, got ${typeof record}`));
+            }
+            const line = `${json}\n`;
+            // Appends are chained so lines never interleave; a failed append
+            // rejects its own promise without blocking the ones after it.
+            writing = writing.catch(() => {}).then(async () => {
+                await handle.write(line);
+                dirty = true;
+                if (fsyncInterval === 0) {
+                    dirty = false;
+                    await handle.sync();
+                }
+            });
+            return writing;
+        },
+        flush,
+        async close() {
+            if (closed) return;
+            clearInterval(timer);
+            await flush();
+            closed = true;
+            await handle.close();
+        },
+    };
+}
+
+// Reads the records back. A last line without a newline was cut off by a
+// crash and is ignored; any other line that is not JSON means the file is
+// damaged (or not a journal) and fails the read.
+async function readJournal(file) {
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const lines = content.split('\n');
+    lines.pop(); // Everything after the last newline: '' or a torn record.
+    return lines.map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new SyntaxError(`${path.basename(file)}:${index + 1}: not a journal record: ${error.message}`);
+        }
+    });
+}
+
+module.exports = { writeFileAtomic, acquireLock, withLock, openJournal, readJournal, fsyncDirectory, LockError };
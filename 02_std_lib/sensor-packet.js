@@ -0,0 +1,13 @@
+const { createCodec } = require('./binary-codec');
+
+// The custom binary protocol for a sensor reading (16 bytes, Big Endian):
+// - 4 bytes: Sensor ID (UInt32)
+// - 8 bytes: Timestamp in milliseconds (BigInt64)
+// - 4 bytes: Temperature (Float)
+const sensorPacket = createCodec([
+    { name: 'sensorId', type: 'uint32' },
+    { name: 'timestamp', type: 'int64' },
+    { name: 'temperature', type: 'float' },
+]);
+
+module.exports = { sensorPacket };
@@ -0,0 +1,475 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { spawn, fork } = require('child_process');
+const colors = require('ansi-colors');
+const { writeFileAtomic } = require('./safe-write');
+const { createEndpoint, negotiateVersion } = require('./ipc-protocol');
+const { renderTable } = require('./table');
+
+// Keeps a set of named child processes running, described in a JSON file:
+//
+//   node supervisor.js [supervisor.json]          # start them all
+//   node supervisor.js status [supervisor.json]   # PIDs, uptimes, restarts
+//
+//   {
+//     "backoff": { "initial": 1000, "max": 30000, "resetAfter": 10000 },
+//     "processes": [
+//       { "name": "calc", "script": "worker.js", "restart": "always" },
+//       { "name": "clock", "command": "date", "args": ["+%T"], "restart": "never" }
+//     ]
+//   }
+//
+// - `script` is forked and counts as started once it sends the IPC 'ready'
+//   message of ipc-protocol.js (as worker.js does), within `readyTimeout` ms;
+//   `command` is spawned (never through a shell) and counts as started at once.
+//   Processes start one after another, in file order.
+// - a started script is health-checked: every `healthCheck.interval` ms it
+//   gets an IPC 'ping' and must answer 'pong' within `healthCheck.timeout` ms,
+//   or it is killed (and restarted as its policy says). A hung script thus
+//   doesn't stay 'running' forever. `"healthCheck": false` turns this off;
+//   commands have no IPC channel and are only watched for their exit.
+// - restart policies: 'always', 'on-failure' (non-zero exit code or a signal)
+//   and 'never'. Restarts wait `backoff.initial` ms, doubling per consecutive
+//   failure up to `backoff.max`; a process that stayed up `backoff.resetAfter`
+//   ms starts over at `initial`.
+// - output of every process is prefixed with its name
+// - on SIGINT/SIGTERM the processes are stopped one by one in reverse order:
+//   SIGTERM, then SIGKILL after `killTimeout` ms. The command line runs the
+//   children in their own process group (`detached`), so that Ctrl+C in the
+//   terminal reaches only the supervisor, which then stops them in order.
+//   A second Ctrl+C during that kills whatever is still running.
+// - the current status is written (atomically) to `statusFile`, which is what
+//   the status command reads.
+
+class SupervisorConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+const RESTART_POLICIES = ['always', 'on-failure', 'never'];
+
+const DEFAULTS = {
+    restart: 'on-failure',
+    readyTimeout: 10000,
+    killTimeout: 5000,
+    healthCheck: { interval: 10000, timeout: 3000 },
+    backoff: { initial: 1000, max: 30000, resetAfter: 10000 },
+};
+
+const log = (message, style = colors.cyan) => console.log(style(`[supervisor] ${message}`));
+
+// The first of the values that is set.
+const pick = (...values) => values.find((value) => value !== undefined);
+
+function describeExit(code, signal) {
+    return signal ? `was killed by ${signal}` : `exited with code ${code}`;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function defaultStatusFile(configPath) {
+    const id = crypto.createHash('sha256').update(configPath).digest('hex').slice(0, 12);
+    return path.join(os.tmpdir(), `supervisor-${id}.status.json`);
+}
+
+// Validates a parsed config and fills in defaults. Relative paths are resolved
+// against `baseDir`, the directory of the config file.
+function normalizeConfig(raw, { baseDir = process.cwd(), configPath = path.join(baseDir, 'supervisor.json') } = {}) {
+    if (!raw || !Array.isArray(raw.processes) || raw.processes.length === 0) {
+        throw new SupervisorConfigError('The config needs a non-empty "processes" array');
+    }
+    const names = new Set();
+    const processes = raw.processes.map((entry, index) => {
+        const name = entry && entry.name;
+        if (typeof name !== 'string' || name === '') {
+            throw new SupervisorConfigError(`processes[${index}] needs a "name"`);
+        }
+        if (names.has(name)) {
+            throw new SupervisorConfigError(`Process name '${name}' is used twice`);
+        }
+        names.add(name);
+        if (!entry.script === !entry.command) {
+            throw new SupervisorConfigError(`'${name}' needs either a "script" (forked, can report ready) or a "command"`);
+        }
+        if (entry.args !== undefined && !Array.isArray(entry.args)) {
+            throw new SupervisorConfigError(`'${name}': "args" must be an array`);
+        }
+        const restart = pick(entry.restart, raw.restart, DEFAULTS.restart);
+        const healthCheck = pick(entry.healthCheck, raw.healthCheck, {});
+        if (!RESTART_POLICIES.includes(restart)) {
+            throw new SupervisorConfigError(`'${name}': unknown restart policy '${restart}'; use ${RESTART_POLICIES.join(', ')}`);
+        }
+        return {
+            name,
+            script: entry.script ? path.resolve(baseDir, entry.script) : null,
+            command: entry.command || null,
+            args: (entry.args || []).map(String),
+            cwd: path.resolve(baseDir, entry.cwd || '.'),
+            env: entry.env || {},
+            restart,
+            readyTimeout: pick(entry.readyTimeout, raw.readyTimeout, DEFAULTS.readyTimeout),
+            killTimeout: pick(entry.killTimeout, raw.killTimeout, DEFAULTS.killTimeout),
+            backoff: { ...DEFAULTS.backoff, ...raw.backoff, ...entry.backoff },
+            healthCheck: entry.script && healthCheck !== false ? { ...DEFAULTS.healthCheck, ...healthCheck } : null,
+        };
+    });
+    return {
+        processes,
+        statusFile: raw.statusFile ? path.resolve(baseDir, raw.statusFile) : defaultStatusFile(configPath),
+    };
+}
+
+function loadConfig(file) {
+    const configPath = path.resolve(file);
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new SupervisorConfigError(`Cannot read ${file}: ${error.message}`);
+    }
+    return normalizeConfig(raw, { baseDir: path.dirname(configPath), configPath });
+}
+
+// Copies a child's output line by line, prefixed with its name.
+function pipeOutput(name, input, output) {
+    readline.createInterface({ input, crlfDelay: Infinity }).on('line', (line) => {
+        output.write(`${colors.magenta(`[${name}]`)} ${line}\n`);
+    });
+}
+
+// `detached` puts each child in its own process group, out of reach of the
+// terminal's Ctrl+C. Only use it with SIGINT/SIGTERM handlers that call stop():
+// a supervisor killed by a signal has no chance to take its children along.
+function createSupervisor(config, { detached = false } = {}) {
+    const protocol = createEndpoint('parent');
+    const managed = config.processes.map((spec) => ({
+        spec,
+        child: null,
+        state: 'pending',
+        startedAt: null,
+        restarts: 0,
+        failures: 0,
+        lastExit: null,
+        restartTimer: null,
+    }));
+    let stopping = false;
+    let statusWrites = Promise.resolve();
+
+    function status() {
+        return managed.map((entry) => ({
+            name: entry.spec.name,
+            state: entry.state,
+            pid: entry.child ? entry.child.pid : null,
+            startedAt: entry.child ? new Date(entry.startedAt).toISOString() : null,
+            restarts: entry.restarts,
+            restart: entry.spec.restart,
+            lastExit: entry.lastExit,
+        }));
+    }
+
+    // Writes are chained and each one takes a fresh snapshot, so the file
+    // never goes back to an older state.
+    function writeStatus() {
+        statusWrites = statusWrites.then(() => writeFileAtomic(config.statusFile, JSON.stringify({
+            pid: process.pid,
+            hostname: os.hostname(),
+            updatedAt: new Date().toISOString(),
+            processes: status(),
+        }, null, 2))).catch((error) => log(`could not write ${config.statusFile}: ${error.message}`, colors.yellow));
+        return statusWrites;
+    }
+
+    // A detached child leads its own process group: signal the whole group, so
+    // that what it started (the children of a shell command) goes too.
+    function signalChild(child, signal) {
+        if (child.pid === undefined) return;
+        if (detached) {
+            try {
+                process.kill(-child.pid, signal);
+                return;
+            } catch (error) {
+                if (error.code !== 'ESRCH') throw error;
+            }
+        }
+        child.kill(signal);
+    }
+
+    function scheduleRestart(entry, uptime) {
+        const { backoff } = entry.spec;
+        if (uptime >= backoff.resetAfter) entry.failures = 0;
+        const delay = Math.min(backoff.initial * 2 ** entry.failures, backoff.max);
+        entry.failures++;
+        entry.state = 'backoff';
+        log(`restarting ${entry.spec.name} in ${delay}ms`);
+        entry.restartTimer = setTimeout(() => {
+            entry.restartTimer = null;
+            entry.restarts++;
+            launch(entry);
+        }, delay);
+    }
+
+    // `code` and `signal` are null for a process that could not be started.
+    function onExit(entry, code, signal) {
+        const uptime = Date.now() - entry.startedAt;
+        entry.child = null;
+        entry.lastExit = code === null && signal === null ? 'could not be started' : describeExit(code, signal);
+        if (stopping) {
+            entry.state = 'stopped';
+        } else {
+            const failed = code !== 0 || signal !== null;
+            log(`${entry.spec.name} ${entry.lastExit} after ${formatDuration(uptime)}`, failed ? colors.red : colors.green);
+            if (entry.spec.restart === 'always' || (entry.spec.restart === 'on-failure' && failed)) {
+                scheduleRestart(entry, uptime);
+            } else {
+                entry.state = failed ? 'failed' : 'exited';
+            }
+        }
+        writeStatus();
+    }
+
+    // Resolves once the process is ready, or has exited before it got there.
+    function launch(entry) {
+        const { spec } = entry;
+        const options = { cwd: spec.cwd, env: { ...process.env, ...spec.env }, detached };
+        entry.startedAt = Date.now();
+        let child;
+        try {
+            child = spec.script
+                ? fork(spec.script, spec.args, { ...options, stdio: ['ignore', 'pipe', 'pipe', 'ipc'] })
+                : spawn(spec.command, spec.args, { ...options, stdio: ['ignore', 'pipe', 'pipe'] });
+        } catch (error) {
+            // Invalid options make fork()/spawn() throw instead of emitting
+            // 'error'. This often runs from a restart timer, where a throw
+            // would take the whole supervisor down.
+            log(`${spec.name}: ${error.message}`, colors.red);
+            onExit(entry, null, null);
+            return Promise.resolve();
+        }
+        entry.child = child;
+        entry.state = 'starting';
+        pipeOutput(spec.name, child.stdout, process.stdout);
+        pipeOutput(spec.name, child.stderr, process.stderr);
+
+        return new Promise((resolve) => {
+            let readyTimer = null;
+            let pingTimer = null;
+            let pongTimer = null;
+            let pingId = 0;
+            let exited = false;
+
+            // One ping at a time: the next one goes out only after a pong.
+            const startHealthCheck = () => {
+                const { interval, timeout } = spec.healthCheck;
+                pingTimer = setInterval(() => {
+                    if (pongTimer || stopping || entry.state !== 'running' || !child.connected) return;
+                    pingId++;
+                    child.send(protocol.encode('ping', { id: pingId }));
+                    pongTimer = setTimeout(() => {
+                        if (stopping || entry.state !== 'running') return;
+                        log(`${spec.name} did not answer a health check within ${timeout}ms, killing it`, colors.red);
+                        entry.state = 'unhealthy';
+                        writeStatus();
+                        signalChild(child, 'SIGKILL');
+                    }, timeout);
+                }, interval);
+            };
+            const onPong = (id) => {
+                if (id !== pingId) return;
+                clearTimeout(pongTimer);
+                pongTimer = null;
+            };
+
+            const markReady = () => {
+                if (entry.child !== child || entry.state !== 'starting') return;
+                clearTimeout(readyTimer);
+                entry.state = 'running';
+                log(`${spec.name} is running (PID ${child.pid})`, colors.green);
+                if (spec.healthCheck) startHealthCheck();
+                writeStatus();
+                resolve();
+            };
+            const finish = (code, signal) => {
+                if (exited) return;
+                exited = true;
+                clearTimeout(readyTimer);
+                clearInterval(pingTimer);
+                clearTimeout(pongTimer);
+                onExit(entry, code, signal);
+                resolve();
+            };
+
+            if (spec.script) {
+                readyTimer = setTimeout(() => {
+                    log(`${spec.name} did not report ready within ${spec.readyTimeout}ms`, colors.yellow);
+                    signalChild(child, 'SIGKILL');
+                }, spec.readyTimeout);
+                child.on('message', (raw) => {
+                    try {
+                        const message = protocol.decode(raw);
+                        if (message.type === 'pong') onPong(message.id);
+                        if (message.type !== 'ready') return;
+                        child.send(protocol.encode('accept', { version: negotiateVersion(message.versions) }));
+                        markReady();
+                    } catch (error) {
+                        log(`${spec.name}: ${error.message}`, colors.yellow);
+                        if (entry.state === 'starting') signalChild(child, 'SIGKILL');
+                    }
+                });
+            } else {
+                child.once('spawn', markReady);
+            }
+            child.on('error', (error) => {
+                log(`${spec.name}: ${error.message}`, colors.red);
+                // A process that could not be started never emits 'exit'.
+                if (child.pid === undefined) finish(null, null);
+            });
+            child.on('exit', finish);
+        });
+    }
+
+    // SIGTERM first, so the process can clean up; SIGKILL if it takes too long.
+    function stopOne(entry) {
+        clearTimeout(entry.restartTimer);
+        entry.restartTimer = null;
+        const { child } = entry;
+        if (!child || child.exitCode !== null || child.signalCode !== null) {
+            if (entry.state === 'backoff' || entry.state === 'pending') entry.state = 'stopped';
+            return Promise.resolve();
+        }
+        entry.state = 'stopping';
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                log(`${entry.spec.name} still running after ${entry.spec.killTimeout}ms, sending SIGKILL`, colors.yellow);
+                signalChild(child, 'SIGKILL');
+            }, entry.spec.killTimeout);
+            child.once('exit', (code, signal) => {
+                clearTimeout(timer);
+                log(`stopped ${entry.spec.name} (${describeExit(code, signal)})`);
+                resolve();
+            });
+            signalChild(child, 'SIGTERM');
+        });
+    }
+
+    // Should the supervisor exit normally without stop() (process.exit(), the
+    // end of the event loop), don't leave the children behind. 'exit' is not
+    // emitted when a signal kills the supervisor: then only children that are
+    // not detached go down with it, through the terminal's process group.
+    const killLeftovers = () => managed.forEach((entry) => entry.child && signalChild(entry.child, 'SIGKILL'));
+
+    return {
+        status,
+        // Last resort when stop() takes too long: SIGKILL for every process.
+        kill: killLeftovers,
+        async start() {
+            process.on('exit', killLeftovers);
+            await writeStatus();
+            for (const entry of managed) {
+                if (stopping) break;
+                await launch(entry);
+            }
+        },
+        async stop() {
+            if (stopping) return;
+            stopping = true;
+            for (const entry of [...managed].reverse()) {
+                await stopOne(entry);
+            }
+            await writeStatus();
+            await fs.promises.rm(config.statusFile, { force: true });
+            process.off('exit', killLeftovers);
+        },
+    };
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+// The status command: what the supervisor for `config` last reported.
+function formatStatus(config, now = Date.now()) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(fs.readFileSync(config.statusFile, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return 'No supervisor is running for this config.';
+        throw error;
+    }
+    const stale = snapshot.hostname === os.hostname() && !isProcessAlive(snapshot.pid);
+    const header = stale
+        ? colors.yellow(`Supervisor PID ${snapshot.pid} is not running; last status from ${snapshot.updatedAt}:`)
+        : `Supervisor PID ${snapshot.pid}, status as of ${snapshot.updatedAt}:`;
+    const table = renderTable(snapshot.processes, {
+        columns: [
+            { key: 'name' },
+            { key: 'state', color: (state) => ({ running: 'green', starting: 'cyan', backoff: 'yellow', failed: 'red', unhealthy: 'red' })[state] },
+            { key: 'pid', header: 'PID' },
+            { key: 'startedAt', header: 'uptime', align: 'right', format: (startedAt) => (startedAt ? formatDuration(now - Date.parse(startedAt)) : '-') },
+            { key: 'restarts', align: 'right' },
+            { key: 'restart', header: 'policy' },
+            { key: 'lastExit', header: 'last exit' },
+        ],
+    });
+    return `${header}\n${table}`;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const showStatus = args[0] === 'status';
+    const configArg = showStatus ? args[1] : args[0];
+    const configFile = configArg || path.join(__dirname, 'supervisor.json');
+
+    let config;
+    try {
+        config = loadConfig(configFile);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (showStatus) {
+        console.log(formatStatus(config));
+    } else {
+        const supervisor = createSupervisor(config, { detached: true });
+        // The children are detached: if a signal's default action killed the
+        // supervisor, they would keep running. So the handlers stay installed,
+        // and a second signal during the shutdown kills them right away.
+        let shuttingDown = false;
+        const shutdown = async (signal) => {
+            if (shuttingDown) {
+                log(`received ${signal} again, killing the remaining processes`, colors.yellow);
+                supervisor.kill();
+                process.exit(1);
+            }
+            shuttingDown = true;
+            log(`received ${signal}, stopping processes in reverse order`);
+            await supervisor.stop();
+            process.exit(0);
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+        log(`supervising ${config.processes.length} processes; see their status with: node ${path.basename(__filename)} status${configArg ? ` ${configArg}` : ''}`);
+        supervisor.start().catch((error) => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+    }
+}
+
+module.exports = { createSupervisor, loadConfig, normalizeConfig, formatStatus, SupervisorConfigError };
@@ -0,0 +1,221 @@
+const colors = require('ansi-colors');
+
+// Table rendering beyond `console.table()`.
+//
+//   renderTable(users, {
+//       columns: [
+//           { key: 'name', header: 'Name', maxWidth: 12 },
+//           { key: 'lastLogin', header: 'Last Login', format: formatters.date() },
+//           { key: 'role', color: (role) => role === 'admin' && 'red' },
+//       ],
+//       sort: { key: 'lastLogin', order: 'desc' },
+//       filter: (user) => user.role !== 'viewer',
+//       format: 'text', // or 'markdown', 'csv', 'json'
+//   });
+//
+// Column options:
+// - key:      property to read (required)
+// - header:   column title, defaults to the key
+// - align:    'left' (default for text), 'right' (default for numbers), 'center'
+// - maxWidth: longer cells are cut and end with '…'
+// - format:   (value, row) => string
+// - color:    (value, row) => an ansi-colors style name ('red') or function,
+//             or a falsy value for no color. Text output only.
+//
+// Without `columns`, every key found in the rows becomes a column.
+
+const ELLIPSIS = '…';
+
+const BORDER = {
+    top: ['┌', '┬', '┐'],
+    middle: ['├', '┼', '┤'],
+    bottom: ['└', '┴', '┘'],
+    horizontal: '─',
+    vertical: '│',
+};
+
+const formatters = {
+    date: (options = { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' }, locale = 'en-US') => {
+        const formatter = new Intl.DateTimeFormat(locale, options);
+        return (value) => (value instanceof Date ? formatter.format(value) : value);
+    },
+    number: (fractionDigits = 2) => (value) => (typeof value === 'number' ? value.toFixed(fractionDigits) : value),
+    bytes: () => (value) => {
+        if (typeof value !== 'number') return value;
+        if (value === 0) return '0 Bytes';
+        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.min(Math.floor(Math.log(value) / Math.log(1024)), sizes.length - 1);
+        return `${parseFloat((value / Math.pow(1024, i)).toFixed(2))} ${sizes[i]}`;
+    },
+    list: (separator = ', ') => (value) => (Array.isArray(value) ? value.join(separator) : value),
+};
+
+// Turns { 'CPU Cores': 8, ... } into rows, for key/value tables like os info.
+function fromObject(obj, { keyHeader = 'Property', valueHeader = 'Value' } = {}) {
+    return Object.entries(obj).map(([key, value]) => ({ [keyHeader]: key, [valueHeader]: value }));
+}
+
+function visibleLength(text) {
+    return colors.unstyle(text).length;
+}
+
+// Colored text that has to be cut loses its colors: slicing could split an
+// escape sequence.
+function truncate(text, maxWidth) {
+    if (!maxWidth || visibleLength(text) <= maxWidth) return text;
+    const plain = colors.unstyle(text);
+    return maxWidth <= 1 ? ELLIPSIS.slice(0, maxWidth) : plain.slice(0, maxWidth - 1) + ELLIPSIS;
+}
+
+function pad(text, width, align) {
+    const gap = width - visibleLength(text);
+    if (gap <= 0) return text;
+    if (align === 'right') return ' '.repeat(gap) + text;
+    if (align === 'center') {
+        const left = Math.floor(gap / 2);
+        return ' '.repeat(left) + text + ' '.repeat(gap - left);
+    }
+    return text + ' '.repeat(gap);
+}
+
+function toText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    // Missing values always sort last.
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+// `sort` is a key, { key, order }, an array of those, or a comparator function.
+function sortRows(rows, sort) {
+    if (!sort) return rows;
+    if (typeof sort === 'function') return [...rows].sort(sort);
+    const keys = (Array.isArray(sort) ? sort : [sort]).map((s) => (typeof s === 'string' ? { key: s } : s));
+    return [...rows].sort((a, b) => {
+        for (const { key, order = 'asc' } of keys) {
+            const result = compareValues(a[key], b[key]);
+            if (result !== 0) {
+                const bothPresent = a[key] != null && b[key] != null;
+                return order === 'desc' && bothPresent ? -result : result;
+            }
+        }
+        return 0;
+    });
+}
+
+function resolveColumns(rows, columns) {
+    if (!columns) {
+        const keys = new Set();
+        rows.forEach((row) => Object.keys(row).forEach((key) => keys.add(key)));
+        columns = [...keys].map((key) => ({ key }));
+    }
+    return columns.map((column) => {
+        const def = typeof column === 'string' ? { key: column } : column;
+        if (def.key === undefined) {
+            throw new TypeError('Every column needs a "key"');
+        }
+        const values = rows.map((row) => row[def.key]).filter((value) => value !== null && value !== undefined);
+        const numeric = values.length > 0 && values.every((value) => typeof value === 'number');
+        return {
+            header: String(def.key),
+            align: numeric ? 'right' : 'left',
+            ...def,
+        };
+    });
+}
+
+function cellText(column, row) {
+    const value = row[column.key];
+    return toText(column.format ? column.format(value, row) : value);
+}
+
+function styleFor(column, row) {
+    if (!column.color) return null;
+    const style = column.color(row[column.key], row);
+    if (!style) return null;
+    if (typeof style === 'function') return style;
+    if (typeof colors[style] !== 'function') {
+        throw new TypeError(`Unknown color "${style}" in column "${column.key}"`);
+    }
+    return colors[style];
+}
+
+function renderText(rows, columns) {
+    const cells = rows.map((row) => columns.map((column) => truncate(cellText(column, row), column.maxWidth)));
+    const headers = columns.map((column) => truncate(column.header, column.maxWidth));
+    const widths = columns.map((column, i) => Math.max(visibleLength(headers[i]), ...cells.map((row) => visibleLength(row[i]))));
+
+    const rule = ([left, join, right]) => left + widths.map((w) => BORDER.horizontal.repeat(w + 2)).join(join) + right;
+    const line = (values) => `${BORDER.vertical} ${values.join(` ${BORDER.vertical} `)} ${BORDER.vertical}`;
+
+    const lines = [
+        rule(BORDER.top),
+        line(headers.map((header, i) => colors.bold(pad(header, widths[i], 'center')))),
+        rule(BORDER.middle),
+        ...cells.map((row, r) => line(row.map((text, i) => {
+            const padded = pad(text, widths[i], columns[i].align);
+            const style = styleFor(columns[i], rows[r]);
+            return style ? style(padded) : padded;
+        }))),
+        rule(BORDER.bottom),
+    ];
+    return lines.join('\n');
+}
+
+function renderMarkdown(rows, columns) {
+    const escape = (text) => text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const divider = {
+        left: ':---',
+        right: '---:',
+        center: ':---:',
+    };
+    const lines = [
+        `| ${columns.map((column) => escape(column.header)).join(' | ')} |`,
+        `| ${columns.map((column) => divider[column.align] || '---').join(' | ')} |`,
+        ...rows.map((row) => `| ${columns.map((column) => escape(truncate(cellText(column, row), column.maxWidth))).join(' | ')} |`),
+    ];
+    return lines.join('\n');
+}
+
+function renderCsv(rows, columns) {
+    const quote = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const lines = [
+        columns.map((column) => quote(column.header)).join(','),
+        ...rows.map((row) => columns.map((column) => quote(cellText(column, row))).join(',')),
+    ];
+    return lines.join('\r\n');
+}
+
+// JSON keeps the raw values (numbers stay numbers, dates become ISO strings).
+function renderJson(rows, columns) {
+    return JSON.stringify(rows.map((row) => Object.fromEntries(columns.map((column) => [column.key, row[column.key]]))), null, 2);
+}
+
+const RENDERERS = { text: renderText, markdown: renderMarkdown, csv: renderCsv, json: renderJson };
+
+function renderTable(rows, { columns, sort, filter, format = 'text' } = {}) {
+    if (!Array.isArray(rows)) {
+        throw new TypeError('renderTable expects an array of rows; use fromObject() for key/value objects');
+    }
+    const renderer = RENDERERS[format];
+    if (!renderer) {
+        throw new TypeError(`Unknown format "${format}". Use one of: ${Object.keys(RENDERERS).join(', ')}`);
+    }
+    const selected = sortRows(filter ? rows.filter(filter) : rows, sort);
+    return renderer(selected, resolveColumns(selected.length > 0 ? selected : rows, columns));
+}
+
+function printTable(rows, options) {
+    console.log(renderTable(rows, options));
+}
+
+module.exports = { renderTable, printTable, fromObject, formatters };
@@ -0,0 +1,168 @@
+const os = require('os');
+const colors = require('ansi-colors');
+const { createProgress } = require('./progress');
+const { renderTable } = require('./table');
+
+// Runs async tasks with dependencies, a concurrency limit and retries, and
+// shows them on a live dashboard: one progress task per task plus a summary.
+//
+//   const runner = createTaskRunner({ concurrency: 2 });
+//   runner.add('download', async ({ task }) => { ... task.increment(); }, { total: 200 });
+//   runner.add('extract', extractArchive, { dependsOn: ['download'], retries: 2 });
+//   const results = await runner.run();
+//   console.log(formatResults(results));
+//
+// A task function receives a context with:
+// - task:    its progress task (see progress.js); without a `total` option it
+//            is shown as an indeterminate spinner
+// - attempt: 1 for the first try, 2 for the first retry, ...
+// - log(message), warn(message): print above the bars without breaking them
+//
+// A task starts once all of its dependencies succeeded. If one of them failed
+// (after its retries), the task is skipped. run() never rejects because of a
+// failing task; check the results instead.
+
+class TaskRunnerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Throws on unknown dependencies and on cycles, before anything runs.
+function checkGraph(definitions) {
+    for (const def of definitions.values()) {
+        for (const dependency of def.dependsOn) {
+            if (!definitions.has(dependency)) {
+                throw new TaskRunnerError(`Task "${def.name}" depends on unknown task "${dependency}"`);
+            }
+        }
+    }
+    const state = new Map(); // name -> 'visiting' | 'done'
+    const visit = (name, trail) => {
+        if (state.get(name) === 'done') return;
+        if (state.get(name) === 'visiting') {
+            throw new TaskRunnerError(`Dependency cycle: ${[...trail, name].join(' -> ')}`);
+        }
+        state.set(name, 'visiting');
+        definitions.get(name).dependsOn.forEach((dependency) => visit(dependency, [...trail, name]));
+        state.set(name, 'done');
+    };
+    definitions.forEach((def, name) => visit(name, []));
+}
+
+function createTaskRunner({ concurrency = os.cpus().length, retries = 0, retryDelay = 500, progress: progressOptions = {} } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new TypeError('concurrency must be a positive integer');
+    }
+    const definitions = new Map();
+
+    function add(name, fn, { dependsOn = [], retries: taskRetries = retries, total } = {}) {
+        if (definitions.has(name)) {
+            throw new TaskRunnerError(`Task "${name}" is already registered`);
+        }
+        if (typeof fn !== 'function') {
+            throw new TypeError(`Task "${name}" needs a function`);
+        }
+        definitions.set(name, { name, fn, dependsOn, retries: taskRetries, total });
+        return api;
+    }
+
+    async function execute(def, progress) {
+        const task = progress.task(def.name, { total: def.total });
+        const log = (message) => progress.log(message);
+        const warn = (message) => progress.log(colors.yellow(`WARN [${def.name}] ${message}`));
+        const startedAt = Date.now();
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await def.fn({ task, attempt, log, warn });
+                task.done();
+                return { name: def.name, status: 'ok', attempts: attempt, duration: Date.now() - startedAt, error: null };
+            } catch (error) {
+                if (attempt > def.retries) {
+                    task.fail(error);
+                    return { name: def.name, status: 'failed', attempts: attempt, duration: Date.now() - startedAt, error };
+                }
+                const delay = retryDelay * 2 ** (attempt - 1);
+                warn(`attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
+                await sleep(delay);
+                task.update(0);
+            }
+        }
+    }
+
+    // Resolves with one result per task, in registration order:
+    // { name, status: 'ok' | 'failed' | 'skipped', attempts, duration, error }
+    async function run() {
+        checkGraph(definitions);
+        const progress = createProgress(progressOptions);
+        const summary = progress.task('All tasks', { total: definitions.size });
+        const results = new Map();
+        const pending = new Set(definitions.keys());
+        const running = new Map(); // name -> promise
+
+        const finish = (result) => {
+            results.set(result.name, result);
+            summary.increment(1, {
+                failed: [...results.values()].filter((r) => r.status === 'failed').length || undefined,
+            });
+        };
+
+        try {
+            while (pending.size > 0 || running.size > 0) {
+                for (const name of [...pending]) {
+                    const def = definitions.get(name);
+                    const blocker = def.dependsOn.find((dependency) => results.has(dependency) && results.get(dependency).status !== 'ok');
+                    if (blocker) {
+                        pending.delete(name);
+                        finish({ name, status: 'skipped', attempts: 0, duration: 0, error: new TaskRunnerError(`Skipped because "${blocker}" did not succeed`) });
+                        continue;
+                    }
+                    if (running.size >= concurrency || !def.dependsOn.every((dependency) => results.has(dependency))) {
+                        continue;
+                    }
+                    pending.delete(name);
+                    running.set(name, execute(def, progress).then((result) => {
+                        running.delete(name);
+                        finish(result);
+                    }));
+                }
+                if (running.size > 0) {
+                    await Promise.race(running.values());
+                }
+            }
+            if ([...results.values()].some((result) => result.status !== 'ok')) {
+                summary.fail(new Error(`${[...results.values()].filter((r) => r.status !== 'ok').length} of ${definitions.size} tasks did not succeed`));
+            } else {
+                summary.done();
+            }
+        } finally {
+            progress.stop();
+        }
+        return [...definitions.keys()].map((name) => results.get(name));
+    }
+
+    const api = { add, run };
+    return api;
+}
+
+const STATUS_COLORS = { ok: 'green', failed: 'red', skipped: 'yellow' };
+
+// Renders run() results as a table (see table.js for the formats).
+function formatResults(results, { format = 'text' } = {}) {
+    return renderTable(results, {
+        format,
+        columns: [
+            { key: 'name', header: 'Task' },
+            { key: 'status', header: 'Status', color: (status) => STATUS_COLORS[status] },
+            { key: 'attempts', header: 'Attempts' },
+            { key: 'duration', header: 'Duration', align: 'right', format: (ms) => `${(ms / 1000).toFixed(2)}s` },
+            { key: 'error', header: 'Error', maxWidth: 60, format: (error) => (error ? error.message.split('\n')[0] : '') },
+        ],
+    });
+}
+
+module.exports = { createTaskRunner, formatResults, TaskRunnerError };
@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const os = require('os');
+const path = require('path');
+const { run, cmd, formatCommand, CommandError, CommandTimeoutError } = require('../command');
+
+const node = process.execPath;
+const PRINT_ARGS = 'console.log(JSON.stringify(process.argv.slice(1)))';
+
+describe('run', () => {
+    it('passes every argument through untouched, shell syntax included', async () => {
+        const args = ['$(id)', '`id`', 'a; rm -rf ~', '*', '"quoted"', "it's", 'two words', '', '--flag', 'line\nbreak'];
+        const { stdout, exitCode, signal } = await run(node, ['-e', PRINT_ARGS, ...args]);
+        assert.deepEqual(JSON.parse(stdout), args);
+        assert.equal(exitCode, 0);
+        assert.equal(signal, null);
+    });
+
+    it('refuses a command line given as a string', async () => {
+        await assert.rejects(run(node, '-e "1"'), TypeError);
+    });
+
+    it('writes `input` to stdin and streams output line by line', async () => {
+        const lines = [];
+        const { stdout } = await run(node, ['-e', 'process.stdin.pipe(process.stdout)'], {
+            input: 'one\ntwo\n',
+            onStdout: (line) => lines.push(line),
+        });
+        assert.equal(stdout, 'one\ntwo\n');
+        assert.deepEqual(lines, ['one', 'two']);
+    });
+
+    it('keeps only `maxBuffer` bytes of output and says so', async () => {
+        const result = await run(node, ['-e', 'process.stdout.write("x".repeat(1000))'], { maxBuffer: 10 });
+        assert.equal(result.stdout, 'x'.repeat(10));
+        assert.equal(result.truncated, true);
+    });
+
+    it('rejects a non-zero exit code with the error line from stderr', async () => {
+        const script = 'console.error("warming up"); console.error("TypeError: bad input"); console.error("    at somewhere"); process.exit(3)';
+        await assert.rejects(run(node, ['-e', script]), (error) => {
+            assert.ok(error instanceof CommandError);
+            assert.equal(error.code, 'EEXITCODE');
+            assert.equal(error.exitCode, 3);
+            assert.match(error.message, /failed with exit code 3/);
+            assert.match(error.message, /\nTypeError: bad input$/);
+            assert.match(error.stderr, /warming up/);
+            return true;
+        });
+    });
+
+    it('rejects a command killed by a signal', async () => {
+        await assert.rejects(run(node, ['-e', 'process.kill(process.pid, "SIGKILL")']), (error) =>
+            error instanceof CommandError && error.code === 'ESIGNAL' && error.signal === 'SIGKILL');
+    });
+
+    it('stops a command that runs past its timeout', async () => {
+        await assert.rejects(run(node, ['-e', 'setInterval(() => {}, 1000)'], { timeout: 200 }), (error) =>
+            error instanceof CommandTimeoutError && error.code === 'ETIMEDOUT' && error.signal === 'SIGTERM' && error.timeout === 200);
+    });
+
+    it('kills a command that ignores SIGTERM after `killTimeout`', async () => {
+        const script = 'process.on("SIGTERM", () => {}); console.log("ready"); setInterval(() => {}, 1000)';
+        const started = Date.now();
+        await assert.rejects(run(node, ['-e', script], { timeout: 500, killTimeout: 200 }), (error) =>
+            error instanceof CommandTimeoutError && error.signal === 'SIGKILL' && error.stdout === 'ready\n');
+        assert.ok(Date.now() - started < 5000);
+    });
+
+    it('tells a missing command from a missing working directory', async () => {
+        await assert.rejects(run('no-such-command-anywhere'), (error) =>
+            error instanceof CommandError && error.code === 'ENOENT' && error.message === 'Command not found: no-such-command-anywhere');
+        const cwd = path.join(os.tmpdir(), 'no-such-directory-anywhere');
+        await assert.rejects(run(node, ['--version'], { cwd }), (error) =>
+            error instanceof CommandError && error.message === `Working directory not found: ${cwd}`);
+    });
+});
+
+describe('cmd', () => {
+    it('turns each interpolated value into one argument', async () => {
+        const value = 'a b; echo $HOME';
+        const { stdout } = await cmd`${node} -e ${PRINT_ARGS} -- --name=${value} ${value}`;
+        assert.deepEqual(JSON.parse(stdout), [`--name=${value}`, value]);
+    });
+
+    it('spreads an array that stands alone into arguments', async () => {
+        const files = ['a.txt', 'b c.txt'];
+        const { stdout } = await cmd`${node} -e ${PRINT_ARGS} -- ${files}`;
+        assert.deepEqual(JSON.parse(stdout), files);
+    });
+
+    it('refuses an array glued to text or another value', async () => {
+        const files = ['a.txt', 'b.txt'];
+        await assert.rejects(cmd`${node} --files=${files}`, TypeError);
+        await assert.rejects(cmd`${node} ${files}.bak`, TypeError);
+        await assert.rejects(cmd`${node} ${files}${'x'}`, TypeError);
+    });
+
+    it('refuses null and undefined values and an empty command', async () => {
+        await assert.rejects(cmd`${node} ${null}`, TypeError);
+        await assert.rejects(cmd`${node} ${undefined}`, TypeError);
+        await assert.rejects(cmd`  `, TypeError);
+    });
+
+    it('passes options to run()', async () => {
+        await assert.rejects(cmd({ timeout: 200 })`${node} -e ${'setInterval(() => {}, 1000)'}`, CommandTimeoutError);
+    });
+});
+
+describe('formatCommand', () => {
+    it('quotes arguments the way a shell would read them back', () => {
+        assert.equal(formatCommand('git', ['log', '-1', '--format=%s']), 'git log -1 --format=%s');
+        assert.equal(formatCommand('echo', ["it's", 'a b', '', '$HOME']), `echo 'it'\\''s' 'a b' '' '$HOME'`);
+    });
+});
@@ -0,0 +1,150 @@
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+    Keyring,
+    generateKey,
+    generateSalt,
+    deriveKey,
+    encrypt,
+    decrypt,
+    reencrypt,
+    createEncryptStream,
+    createDecryptStream,
+    EnvelopeFormatError,
+    UnsupportedEnvelopeError,
+    UnknownKeyError,
+    AuthenticationError,
+} = require('../envelope');
+
+const plaintext = Buffer.from('the quick brown fox jumps over the lazy dog');
+
+// Offsets in an envelope: magic (4) | version | algorithm | flags | key id length | key id | IV (12) | tag (16)
+const VERSION_OFFSET = 4;
+const FLAGS_OFFSET = 6;
+const KEY_ID_OFFSET = 8;
+
+function flip(buf, offset) {
+    const copy = Buffer.from(buf);
+    copy[offset] ^= 0x01;
+    return copy;
+}
+
+async function runThrough(transform, chunks) {
+    const output = [];
+    await pipeline(
+        Readable.from(chunks),
+        transform,
+        new Writable({
+            write(chunk, encoding, callback) {
+                output.push(chunk);
+                callback();
+            },
+        }),
+    );
+    return Buffer.concat(output);
+}
+
+describe('encrypt/decrypt', () => {
+    const keyring = new Keyring({ keys: { k1: generateKey() } });
+
+    it('round-trips the plaintext', () => {
+        assert.deepEqual(decrypt(encrypt(plaintext, keyring), keyring), plaintext);
+        assert.deepEqual(decrypt(encrypt(Buffer.alloc(0), keyring), keyring), Buffer.alloc(0));
+    });
+
+    it('uses a fresh IV for every envelope', () => {
+        assert.notDeepEqual(encrypt(plaintext, keyring), encrypt(plaintext, keyring));
+    });
+
+    it('detects a modified ciphertext, tag or header', () => {
+        const envelope = encrypt(plaintext, keyring);
+        const headerLength = KEY_ID_OFFSET + 'k1'.length + 12;
+        for (const offset of [envelope.length - 1, headerLength, headerLength - 1, FLAGS_OFFSET]) {
+            assert.throws(() => decrypt(flip(envelope, offset), keyring), AuthenticationError, `byte ${offset}`);
+        }
+    });
+
+    it('rejects a wrong key with the same id', () => {
+        const envelope = encrypt(plaintext, keyring);
+        const other = new Keyring({ keys: { k1: generateKey() } });
+        assert.throws(() => decrypt(envelope, other), AuthenticationError);
+    });
+
+    it('names the key id it does not know', () => {
+        const envelope = encrypt(plaintext, keyring);
+        const other = new Keyring({ keys: { k2: generateKey() } });
+        assert.throws(() => decrypt(envelope, other), (error) => error instanceof UnknownKeyError && error.keyId === 'k1');
+    });
+
+    it('rejects data that is not an envelope, truncated or from another version', () => {
+        const envelope = encrypt(plaintext, keyring);
+        assert.throws(() => decrypt(Buffer.from('not an envelope'), keyring), EnvelopeFormatError);
+        assert.throws(() => decrypt(envelope.subarray(0, KEY_ID_OFFSET + 3), keyring), EnvelopeFormatError);
+        assert.throws(() => decrypt(envelope.subarray(0, envelope.length - plaintext.length - 1), keyring), EnvelopeFormatError);
+        const future = Buffer.from(envelope);
+        future[VERSION_OFFSET] = 2;
+        assert.throws(() => decrypt(future, keyring), UnsupportedEnvelopeError);
+    });
+});
+
+describe('Keyring', () => {
+    it('rejects keys of the wrong size', () => {
+        assert.throws(() => new Keyring({ keys: { short: Buffer.alloc(16) } }), TypeError);
+        assert.throws(() => new Keyring().add('text', 'a'.repeat(32)), TypeError);
+    });
+
+    it('keeps old envelopes readable after a rotation and re-encrypts them with the new key', () => {
+        const keyring = new Keyring({ keys: { old: generateKey() } });
+        const before = encrypt(plaintext, keyring);
+        keyring.rotate('new', generateKey());
+
+        assert.deepEqual(decrypt(before, keyring), plaintext);
+        const after = reencrypt(before, keyring);
+        assert.deepEqual(decrypt(after, keyring), plaintext);
+
+        keyring.keys.delete('old');
+        assert.throws(() => decrypt(before, keyring), UnknownKeyError);
+        assert.deepEqual(decrypt(after, keyring), plaintext);
+    });
+
+    it('fails to encrypt without a current key', () => {
+        assert.throws(() => encrypt(plaintext, new Keyring()), UnknownKeyError);
+    });
+});
+
+describe('deriveKey', () => {
+    it('derives the same key from the same passphrase and salt only', async () => {
+        const salt = generateSalt();
+        const options = { N: 2 ** 10 };
+        const key = await deriveKey('correct horse', salt, options);
+        assert.equal(key.length, 32);
+        assert.deepEqual(await deriveKey('correct horse', salt, options), key);
+        assert.notDeepEqual(await deriveKey('correct horse', generateSalt(), options), key);
+        assert.notDeepEqual(await deriveKey('wrong horse', salt, options), key);
+    });
+});
+
+describe('streams', () => {
+    const keyring = new Keyring({ keys: { k1: generateKey() } });
+    const chunks = [plaintext.subarray(0, 5), plaintext.subarray(5, 7), plaintext.subarray(7)];
+
+    it('round-trips through the encrypt and decrypt streams, whatever the chunking', async () => {
+        const envelope = await runThrough(createEncryptStream(keyring), chunks);
+        assert.deepEqual(await runThrough(createDecryptStream(keyring), [envelope]), plaintext);
+        const bytes = [...envelope].map((byte) => Buffer.from([byte]));
+        assert.deepEqual(await runThrough(createDecryptStream(keyring), bytes), plaintext);
+        assert.deepEqual(decrypt(envelope, keyring), plaintext);
+    });
+
+    it('fails the stream when the data was modified or truncated', async () => {
+        const envelope = await runThrough(createEncryptStream(keyring), chunks);
+        await assert.rejects(runThrough(createDecryptStream(keyring), [flip(envelope, envelope.length - 20)]), AuthenticationError);
+        await assert.rejects(runThrough(createDecryptStream(keyring), [envelope.subarray(0, 20)]), EnvelopeFormatError);
+    });
+
+    it('refuses envelopes written by encrypt()', async () => {
+        await assert.rejects(runThrough(createDecryptStream(keyring), [encrypt(plaintext, keyring)]), UnsupportedEnvelopeError);
+    });
+});
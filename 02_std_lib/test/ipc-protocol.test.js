@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const path = require('path');
+const { fork } = require('child_process');
+const {
+    PROTOCOL_VERSIONS,
+    createEndpoint,
+    negotiateVersion,
+    ProtocolError,
+    UnknownMessageError,
+    MalformedMessageError,
+    ProtocolVersionError,
+} = require('../ipc-protocol');
+
+const parent = createEndpoint('parent');
+const worker = createEndpoint('worker');
+
+describe('endpoints', () => {
+    it('build and accept the messages their side may send', () => {
+        const task = parent.encode('task', { id: 1, task: 'calculate', data: 1e6 });
+        assert.deepEqual(worker.decode(task), { type: 'task', id: 1, task: 'calculate', data: 1e6 });
+        assert.deepEqual(parent.decode(worker.encode('pong', { id: 7 })), { type: 'pong', id: 7 });
+        assert.deepEqual(parent.decode(worker.encode('result', { id: 1 })), { type: 'result', id: 1 });
+    });
+
+    it('reject message types that are unknown or belong to the other side', () => {
+        assert.throws(() => parent.encode('calculationComplete', { id: 1 }), UnknownMessageError);
+        assert.throws(() => parent.encode('result', { id: 1, result: 2 }), UnknownMessageError);
+        assert.throws(() => parent.decode({ type: 'task', id: 1, task: 'calculate' }), UnknownMessageError);
+        assert.throws(() => worker.decode({ type: 'constructor' }), UnknownMessageError);
+    });
+
+    it('reject missing, mistyped and undeclared fields, listing every problem', () => {
+        assert.throws(() => worker.decode({ type: 'task', id: '1', tsak: 'calculate' }), (error) => {
+            assert.ok(error instanceof MalformedMessageError);
+            assert.deepEqual(error.problems, ["'id' must be an integer", "'task' is missing", "'tsak' is not a field of 'task'"]);
+            return true;
+        });
+        assert.throws(() => parent.decode({ type: 'progress', id: 1, done: NaN, total: 10 }), MalformedMessageError);
+        assert.throws(() => parent.decode({ type: 'ready', versions: [1, '2'] }), MalformedMessageError);
+    });
+
+    it('reject messages that are not objects', () => {
+        for (const raw of [null, undefined, 'task', 42, [{ type: 'task' }]]) {
+            assert.throws(() => worker.decode(raw), MalformedMessageError, String(raw));
+        }
+    });
+
+    it('report every failure as an EPROTO ProtocolError carrying the message', () => {
+        const raw = { type: 'nope' };
+        assert.throws(() => worker.decode(raw), (error) =>
+            error instanceof ProtocolError && error.code === 'EPROTO' && error.received === raw);
+    });
+
+    it('only exist for the parent and the worker', () => {
+        assert.throws(() => createEndpoint('server'), TypeError);
+    });
+});
+
+describe('negotiateVersion', () => {
+    it('picks the highest version both sides speak', () => {
+        assert.equal(negotiateVersion([...PROTOCOL_VERSIONS, 99]), Math.max(...PROTOCOL_VERSIONS));
+    });
+
+    it('fails when there is none', () => {
+        assert.throws(() => negotiateVersion([99]), (error) =>
+            error instanceof ProtocolVersionError && error.offered[0] === 99 && error.supported === PROTOCOL_VERSIONS);
+        assert.throws(() => negotiateVersion([]), ProtocolVersionError);
+    });
+});
+
+// Forks worker.js and hands out the messages it sends, in order.
+function startWorker() {
+    const child = fork(path.join(__dirname, '..', 'worker.js'), [], { env: { ...process.env, WORKER_QUIET: '1' } });
+    const received = [];
+    const waiting = [];
+    child.on('message', (raw) => {
+        const message = parent.decode(raw);
+        if (waiting.length > 0) waiting.shift()(message);
+        else received.push(message);
+    });
+    return {
+        child,
+        send: (type, fields) => child.send(parent.encode(type, fields)),
+        next: () => (received.length > 0 ? Promise.resolve(received.shift()) : new Promise((resolve) => waiting.push(resolve))),
+    };
+}
+
+describe('worker.js', () => {
+    it('follows the conversation', { timeout: 30000 }, async () => {
+        const { child, send, next } = startWorker();
+        try {
+            const ready = await next();
+            assert.equal(ready.type, 'ready');
+
+            send('task', { id: 1, task: 'sum', data: [1, 2, 3] });
+            assert.deepEqual(await next(), { type: 'error', id: 1, message: 'Task received before a protocol version was accepted', code: 'ENOTACCEPTED' });
+
+            send('accept', { version: negotiateVersion(ready.versions) });
+            send('ping', { id: 2 });
+            assert.deepEqual(await next(), { type: 'pong', id: 2 });
+
+            send('task', { id: 3, task: 'sum', data: [1, 2, 3] });
+            assert.deepEqual(await next(), { type: 'result', id: 3, result: 6 });
+
+            send('task', { id: 4, task: 'toString' });
+            assert.equal((await next()).code, 'EUNKNOWNTASK');
+
+            child.send({ type: 'task', id: 5, task: 'sum', extra: true });
+            assert.deepEqual(await next(), { type: 'error', id: 5, message: "Malformed 'task' message: 'extra' is not a field of 'task'", code: 'MalformedMessageError' });
+
+            send('task', { id: 6, task: 'calculate', data: 1e10 });
+            send('cancel', { id: 6 });
+            assert.deepEqual(await next(), { type: 'cancelled', id: 6 });
+        } finally {
+            child.kill();
+        }
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const base64url = require('../base64url');
+const {
+    sign,
+    verify,
+    decode,
+    JwtError,
+    TokenMalformedError,
+    TokenSignatureError,
+    TokenExpiredError,
+    TokenNotActiveError,
+} = require('../jwt');
+
+const secret = 'a-test-secret';
+const now = Date.UTC(2024, 0, 1, 12, 0, 0);
+const nowSeconds = now / 1000;
+
+// Builds a token by hand, so tests can sign whatever header and payload they like.
+function forge(header, payload, key = secret) {
+    const encodedHeader = base64url.encode(JSON.stringify(header));
+    const encodedPayload = base64url.encode(JSON.stringify(payload));
+    const signature = crypto.createHmac('sha256', key).update(`${encodedHeader}.${encodedPayload}`).digest();
+    return `${encodedHeader}.${encodedPayload}.${base64url.encode(signature)}`;
+}
+
+describe('sign', () => {
+    it('produces a standard HS256 token', () => {
+        const token = sign({ sub: 'user-1' }, secret, { expiresIn: 60, now });
+        assert.equal(token, forge({ alg: 'HS256', typ: 'JWT' }, { sub: 'user-1', iat: nowSeconds, exp: nowSeconds + 60 }));
+    });
+
+    it('keeps an iat from the payload and derives exp and nbf from it', () => {
+        const { payload } = decode(sign({ iat: 1000 }, secret, { expiresIn: 10, notBefore: 5, now }));
+        assert.deepEqual(payload, { iat: 1000, exp: 1010, nbf: 1005 });
+    });
+
+    it('rejects payloads that are not objects and empty secrets', () => {
+        assert.throws(() => sign('user-1', secret), TypeError);
+        assert.throws(() => sign([], secret), TypeError);
+        assert.throws(() => sign({}, ''), TypeError);
+    });
+});
+
+describe('verify', () => {
+    it('returns the payload of a valid token', () => {
+        const token = sign({ sub: 'user-1', role: 'admin' }, secret, { expiresIn: 60, now });
+        assert.deepEqual(verify(token, secret, { now }), { sub: 'user-1', role: 'admin', iat: nowSeconds, exp: nowSeconds + 60 });
+        assert.deepEqual(verify(token, Buffer.from(secret), { now }).sub, 'user-1');
+    });
+
+    it('rejects a token signed with another secret', () => {
+        const token = sign({ sub: 'user-1' }, 'another-secret', { now });
+        assert.throws(() => verify(token, secret, { now }), TokenSignatureError);
+    });
+
+    it('rejects a modified payload', () => {
+        const [header, , signature] = sign({ role: 'viewer' }, secret, { now }).split('.');
+        const payload = base64url.encode(JSON.stringify({ role: 'admin', iat: nowSeconds }));
+        assert.throws(() => verify(`${header}.${payload}.${signature}`, secret, { now }), TokenSignatureError);
+    });
+
+    it('rejects a truncated or garbled signature', () => {
+        const token = sign({}, secret, { now });
+        assert.throws(() => verify(token.slice(0, -3), secret, { now }), TokenSignatureError);
+        assert.throws(() => verify(`${token.slice(0, -1)}!`, secret, { now }), TokenMalformedError);
+    });
+
+    it('only accepts HS256, whatever the token asks for', () => {
+        const unsigned = `${base64url.encode(JSON.stringify({ alg: 'none' }))}.${base64url.encode(JSON.stringify({ iat: nowSeconds }))}.`;
+        assert.throws(() => verify(unsigned, secret, { now }), TokenMalformedError);
+        assert.throws(() => verify(forge({ alg: 'HS512' }, { iat: nowSeconds }), secret, { now }), TokenMalformedError);
+    });
+
+    it('rejects tokens that are not three parts of base64url JSON objects', () => {
+        for (const token of [null, '', 'a.b', 'a.b.c.d', `${base64url.encode('{')}.e30.x`, `${base64url.encode('[]')}.e30.x`]) {
+            assert.throws(() => verify(token, secret, { now }), TokenMalformedError, String(token));
+        }
+    });
+
+    it('rejects an expired token, within the clock tolerance only', () => {
+        const token = sign({}, secret, { expiresIn: 60, now });
+        assert.ok(verify(token, secret, { now: now + 59 * 1000 }));
+        assert.throws(() => verify(token, secret, { now: now + 60 * 1000 }), (error) =>
+            error instanceof TokenExpiredError && error.expiredAt.getTime() === now + 60 * 1000);
+        assert.ok(verify(token, secret, { now: now + 60 * 1000, clockTolerance: 5 }));
+    });
+
+    it('rejects a token before its nbf or issued in the future', () => {
+        const notYet = sign({}, secret, { notBefore: 30, now });
+        assert.throws(() => verify(notYet, secret, { now }), TokenNotActiveError);
+        assert.ok(verify(notYet, secret, { now: now + 30 * 1000 }));
+
+        const future = sign({}, secret, { now: now + 60 * 1000 });
+        assert.throws(() => verify(future, secret, { now }), TokenNotActiveError);
+        assert.ok(verify(future, secret, { now, clockTolerance: 60 }));
+    });
+
+    it('enforces maxAge from iat, which it then requires', () => {
+        const token = sign({}, secret, { now });
+        assert.ok(verify(token, secret, { now: now + 9 * 1000, maxAge: 10 }));
+        assert.throws(() => verify(token, secret, { now: now + 10 * 1000, maxAge: 10 }), TokenExpiredError);
+        const withoutIat = forge({ alg: 'HS256', typ: 'JWT' }, { sub: 'user-1' });
+        assert.throws(() => verify(withoutIat, secret, { now, maxAge: 10 }), TokenMalformedError);
+    });
+
+    it('rejects time claims that are not numbers', () => {
+        const token = forge({ alg: 'HS256', typ: 'JWT' }, { exp: String(nowSeconds + 60) });
+        assert.throws(() => verify(token, secret, { now }), TokenMalformedError);
+    });
+
+    it('reports every failure as a JwtError', () => {
+        assert.throws(() => verify('a.b', secret), JwtError);
+        assert.throws(() => verify(sign({}, 'other'), secret), JwtError);
+    });
+});
@@ -0,0 +1,187 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { writeFileAtomic, acquireLock, withLock, openJournal, readJournal, LockError } = require('../safe-write');
+
+let dir;
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'safe-write-test-'));
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+// A PID that is certainly not running any more.
+function deadPid() {
+    return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+async function writeLock(file, owner, ageMs = 0) {
+    const lockFile = `${file}.lock`;
+    await fs.writeFile(lockFile, JSON.stringify(owner));
+    if (ageMs > 0) {
+        const then = new Date(Date.now() - ageMs);
+        await fs.utimes(lockFile, then, then);
+    }
+    return lockFile;
+}
+
+describe('writeFileAtomic', () => {
+    it('creates and replaces the file without leaving temp files behind', async () => {
+        const file = path.join(dir, 'config.json');
+        await writeFileAtomic(file, '{"version":1}');
+        await writeFileAtomic(file, Buffer.from('{"version":2}'));
+        assert.equal(await fs.readFile(file, 'utf8'), '{"version":2}');
+        assert.deepEqual(await fs.readdir(dir), ['config.json']);
+    });
+
+    it('keeps the permissions of the file it replaces unless given a mode', async () => {
+        const file = path.join(dir, 'secret');
+        await fs.writeFile(file, 'old');
+        await fs.chmod(file, 0o600);
+        await writeFileAtomic(file, 'new');
+        assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+        await writeFileAtomic(file, 'newer', { mode: 0o640 });
+        assert.equal((await fs.stat(file)).mode & 0o777, 0o640);
+    });
+
+    it('leaves the old content and no temp file when the write fails', async () => {
+        const file = path.join(dir, 'data');
+        await fs.writeFile(file, 'old');
+        await assert.rejects(writeFileAtomic(file, 42));
+        assert.equal(await fs.readFile(file, 'utf8'), 'old');
+        assert.deepEqual(await fs.readdir(dir), ['data']);
+    });
+});
+
+describe('acquireLock', () => {
+    it('fails with a LockError naming the owner while the lock is held', async () => {
+        const file = path.join(dir, 'data');
+        const lock = await acquireLock(file);
+        await assert.rejects(acquireLock(file, { wait: 100 }), (error) =>
+            error instanceof LockError && error.code === 'ELOCKED' && error.owner.pid === process.pid);
+        await lock.release();
+        await (await acquireLock(file, { wait: 0 })).release();
+    });
+
+    it('waits for the owner to release the lock', async () => {
+        const file = path.join(dir, 'data');
+        const lock = await acquireLock(file);
+        setTimeout(() => lock.release(), 100);
+        const next = await acquireLock(file, { wait: 2000, retryInterval: 10 });
+        await next.release();
+    });
+
+    it('takes over a lock whose owner died on this host', async () => {
+        const file = path.join(dir, 'data');
+        await writeLock(file, { pid: deadPid(), hostname: os.hostname(), acquiredAt: new Date().toISOString(), token: 'dead' });
+        const lock = await acquireLock(file, { wait: 0 });
+        assert.equal(JSON.parse(await fs.readFile(lock.file, 'utf8')).pid, process.pid);
+        await lock.release();
+    });
+
+    it('takes over a lock that was not refreshed for `stale` ms, even a torn one', async () => {
+        const file = path.join(dir, 'data');
+        const lockFile = `${file}.lock`;
+        await fs.writeFile(lockFile, '{"pid":');
+        const then = new Date(Date.now() - 60000);
+        await fs.utimes(lockFile, then, then);
+        const lock = await acquireLock(file, { wait: 0, stale: 10000 });
+        await lock.release();
+    });
+
+    it('does not judge a fresh lock from another host by its PID', async () => {
+        const file = path.join(dir, 'data');
+        await writeLock(file, { pid: deadPid(), hostname: `not-${os.hostname()}`, acquiredAt: new Date().toISOString(), token: 'remote' });
+        await assert.rejects(acquireLock(file, { wait: 100 }), LockError);
+    });
+
+    it('does not remove a lock that someone else took over meanwhile', async () => {
+        const file = path.join(dir, 'data');
+        const lock = await acquireLock(file);
+        const other = { pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString(), token: 'other' };
+        await writeLock(file, other);
+        await lock.release();
+        assert.deepEqual(JSON.parse(await fs.readFile(lock.file, 'utf8')), other);
+        assert.deepEqual((await fs.readdir(dir)).sort(), ['data.lock']);
+    });
+
+    it('keeps a long-held lock fresh', async () => {
+        const file = path.join(dir, 'data');
+        const lock = await acquireLock(file, { stale: 200 });
+        await new Promise((resolve) => setTimeout(resolve, 500));
+        await assert.rejects(acquireLock(file, { wait: 0, stale: 200 }), LockError);
+        await lock.release();
+    });
+});
+
+describe('withLock', () => {
+    it('serializes read-modify-write cycles', async () => {
+        const file = path.join(dir, 'counter');
+        await fs.writeFile(file, '0');
+        const increment = () => withLock(file, async () => {
+            const value = Number(await fs.readFile(file, 'utf8'));
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            await writeFileAtomic(file, String(value + 1));
+        }, { retryInterval: 5 });
+        await Promise.all(Array.from({ length: 10 }, increment));
+        assert.equal(await fs.readFile(file, 'utf8'), '10');
+    });
+
+    it('releases the lock when the function throws', async () => {
+        const file = path.join(dir, 'data');
+        await assert.rejects(withLock(file, async () => {
+            throw new Error('boom');
+        }), /boom/);
+        await assert.rejects(fs.access(`${file}.lock`), { code: 'ENOENT' });
+    });
+});
+
+describe('journal', () => {
+    it('reads back every record unchanged', async () => {
+        const file = path.join(dir, 'journal.log');
+        const records = [{ op: 'set', key: 'a', value: 1 }, 'two\nlines', 'back\\nslash', '123', 'true', 123, null, [1, 2]];
+        const journal = await openJournal(file, { fsyncInterval: 0 });
+        for (const record of records) {
+            await journal.append(record);
+        }
+        await journal.close();
+        assert.deepEqual(await readJournal(file), records);
+    });
+
+    it('keeps appended records in order without awaiting each one', async () => {
+        const file = path.join(dir, 'journal.log');
+        const journal = await openJournal(file);
+        await Promise.all(Array.from({ length: 50 }, (_, i) => journal.append({ i })));
+        await journal.close();
+        assert.deepEqual(await readJournal(file), Array.from({ length: 50 }, (_, i) => ({ i })));
+    });
+
+    it('rejects records that are not JSON and appends after close', async () => {
+        const file = path.join(dir, 'journal.log');
+        const journal = await openJournal(file);
+        await assert.rejects(journal.append(undefined), TypeError);
+        await assert.rejects(journal.append(() => {}), TypeError);
+        await journal.append('ok');
+        await journal.close();
+        await assert.rejects(journal.append('late'), /closed/);
+        assert.deepEqual(await readJournal(file), ['ok']);
+    });
+
+    it('drops a torn last line but fails on damage elsewhere', async () => {
+        const file = path.join(dir, 'journal.log');
+        await fs.writeFile(file, '{"a":1}\n{"b":2}\n{"c":');
+        assert.deepEqual(await readJournal(file), [{ a: 1 }, { b: 2 }]);
+        await fs.writeFile(file, '{"a":1}\n{"b":\n{"c":3}\n');
+        await assert.rejects(readJournal(file), (error) => error instanceof SyntaxError && /journal\.log:2:/.test(error.message));
+    });
+
+    it('reads a missing journal as empty', async () => {
+        assert.deepEqual(await readJournal(path.join(dir, 'missing.log')), []);
+    });
+});
@@ -0,0 +1,125 @@
+const { PassThrough } = require('stream');
+const { formatters } = require('./table');
+
+// A PassThrough stream that measures what flows through it. Drop it into any
+// pipeline() to get real byte counts, throughput and an ETA:
+//
+//   const meter = new ThroughputMeter({ total: size, task: progress.task('Copy', { total: size }) });
+//   await pipeline(readStream, meter, writeStream);
+//
+// - Throughput is a moving average over the last `windowMs`, so it follows
+//   speed changes instead of averaging over the whole transfer.
+// - `total` is optional; without it there is no percentage or ETA, but bytes
+//   and throughput are still reported.
+// - A 'progress' event with `meter.stats` is emitted at most every
+//   `interval` ms and once more when all input has passed through. That is
+//   reported from _flush(), not on 'end': as the last stream of a pipeline,
+//   nobody reads the meter and 'end' never comes.
+// - With a `task` (see progress.js) the meter reports into it: the value is
+//   the byte count, the payload carries `speed` and `eta`, and the task is
+//   finished when the stream ends or fails. `offset` is what the task had
+//   done before this stream (a resumed copy): the task's value starts there,
+//   while `total` stays what this stream will carry, for the meter's own
+//   percentage and ETA. A total the task already has is left alone.
+
+const formatBytes = formatters.bytes();
+
+function formatSpeed(bytesPerSecond) {
+    return bytesPerSecond === null ? 'N/A' : `${formatBytes(Math.round(bytesPerSecond))}/s`;
+}
+
+function formatEta(seconds) {
+    if (seconds === null) return 'N/A';
+    // Round once, before splitting: 119.5 s is "2m 00s", not "1m 60s".
+    const total = Math.ceil(seconds);
+    if (total < 60) return `${total}s`;
+    return `${Math.floor(total / 60)}m ${String(total % 60).padStart(2, '0')}s`;
+}
+
+class ThroughputMeter extends PassThrough {
+    constructor({ total = null, offset = 0, windowMs = 3000, interval = 250, task = null, ...streamOptions } = {}) {
+        super(streamOptions);
+        this.total = total;
+        this.offset = offset;
+        this.windowMs = windowMs;
+        this.interval = interval;
+        this.task = task;
+        this.bytes = 0;
+        this.startedAt = null;
+        this.lastEmit = 0;
+        // [time, bytes] pairs inside the moving-average window, oldest first.
+        this.samples = [];
+
+        this.once('error', (error) => {
+            if (this.task) this.task.fail(error);
+        });
+        if (this.task && total !== null && !(this.task.total > 0)) {
+            this.task.setTotal(offset + total);
+        }
+    }
+
+    _transform(chunk, encoding, callback) {
+        const now = Date.now();
+        if (this.startedAt === null) {
+            this.startedAt = now;
+            this.samples.push([now, 0]);
+        }
+        this.bytes += chunk.length;
+        this.samples.push([now, this.bytes]);
+        // Keep one sample older than the window so the rate spans all of it.
+        while (this.samples.length > 2 && now - this.samples[1][0] > this.windowMs) {
+            this.samples.shift();
+        }
+        if (now - this.lastEmit >= this.interval) {
+            this.lastEmit = now;
+            this.report(false);
+        }
+        callback(null, chunk);
+    }
+
+    _flush(callback) {
+        this.report(true);
+        callback();
+    }
+
+    // For totals that become known later, e.g. from a Content-Length header.
+    setTotal(total) {
+        this.total = total;
+        if (this.task) {
+            this.task.setTotal(this.offset + total);
+            this.report(false);
+        }
+    }
+
+    get bytesPerSecond() {
+        const [first, last] = [this.samples[0], this.samples[this.samples.length - 1]];
+        if (!first || last[0] === first[0]) return null;
+        return ((last[1] - first[1]) / (last[0] - first[0])) * 1000;
+    }
+
+    get stats() {
+        const rate = this.bytesPerSecond;
+        const remaining = this.total === null ? null : Math.max(0, this.total - this.bytes);
+        return {
+            bytes: this.bytes,
+            total: this.total,
+            percentage: this.total ? Math.min(100, (this.bytes / this.total) * 100) : null,
+            bytesPerSecond: rate,
+            eta: remaining === null || !rate ? null : remaining / rate,
+            elapsed: this.startedAt === null ? 0 : (Date.now() - this.startedAt) / 1000,
+        };
+    }
+
+    report(finished) {
+        const stats = this.stats;
+        this.emit('progress', stats);
+        if (!this.task) return;
+        this.task.update(this.offset + stats.bytes, {
+            speed: formatSpeed(stats.bytesPerSecond),
+            eta: finished ? '0s' : formatEta(stats.eta),
+        });
+        if (finished) this.task.done();
+    }
+}
+
+module.exports = { ThroughputMeter, formatSpeed, formatEta };
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Recursive directory watcher on top of plain `fs.watch`.
+//
+// Raw `fs.watch` events are noisy: one save can fire several 'change' and
+// 'rename' events, 'rename' means both "created" and "deleted", and it only
+// watches one directory level on most platforms. This watcher:
+//
+// - watches every directory of the tree, including ones created later
+// - waits until a path has been quiet for `debounce` ms, then compares it
+//   with what it knew before and reports one normalized event:
+//   { type: 'add' | 'change' | 'unlink', path, fullPath }
+//   where `path` is relative to the root and uses '/' separators
+// - reports files only; deleting a directory reports 'unlink' for each file
+// - follows symlinks, but watches each real directory once, so a link back
+//   up the tree doesn't recurse forever
+// - filters with `include`/`exclude` globs ('*', '**', '?', '{a,b}'). A glob
+//   without '/' is matched against the file or directory name alone, so
+//   'node_modules' excludes every node_modules directory.
+//
+//   const watcher = watchTree(dir, { include: ['**/*.js'], signal });
+//   await watcher.ready;
+//   for await (const event of watcher) { ... }   // or watcher.on('change', ...)
+//
+// The watcher stops on watcher.close() or when `signal` aborts; a `for await`
+// loop over it then simply ends.
+
+const DEFAULT_EXCLUDE = ['node_modules', '.git'];
+
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // '**/' matches zero or more directories, a trailing '**' anything.
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const end = glob.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+                continue;
+            }
+            source += `(?:${glob.slice(i + 1, end).split(',').map((part) => part.replace(/[.+^$()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*')).join('|')})`;
+            i = end;
+        } else {
+            source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function createMatcher(globs) {
+    const tests = globs.map((glob) => {
+        const regExp = globToRegExp(glob);
+        return glob.includes('/')
+            ? (relative) => regExp.test(relative)
+            : (relative) => regExp.test(relative.slice(relative.lastIndexOf('/') + 1));
+    });
+    return (relative) => tests.some((test) => test(relative));
+}
+
+class DirectoryWatcher extends EventEmitter {
+    constructor(root, { include = [], exclude = DEFAULT_EXCLUDE, debounce = 100, signal } = {}) {
+        super();
+        this.root = path.resolve(root);
+        this.debounce = debounce;
+        this.isIncluded = include.length > 0 ? createMatcher(include) : () => true;
+        this.isExcluded = createMatcher(exclude);
+        this.watchers = new Map(); // real path -> { dir, watcher }, dir as reached from the root
+        this.files = new Map(); // file -> { mtimeMs, size }
+        this.timers = new Map(); // path -> pending debounce timer
+        this.closed = false;
+
+        if (signal) {
+            if (signal.aborted) {
+                this.closed = true;
+            } else {
+                signal.addEventListener('abort', () => this.close(), { once: true });
+            }
+        }
+        // Resolves once the initial tree is watched; files found there are not
+        // reported as 'add'.
+        this.ready = this.closed ? Promise.resolve() : this.addDirectory(this.root, false).then(() => {
+            if (!this.closed) this.emit('ready');
+        });
+    }
+
+    relative(fullPath) {
+        return path.relative(this.root, fullPath).split(path.sep).join('/');
+    }
+
+    async addDirectory(dir, report) {
+        if (this.closed) return;
+        let realDir;
+        try {
+            realDir = await fsp.realpath(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        if (this.closed || this.watchers.has(realDir)) return;
+        let watcher;
+        try {
+            watcher = fs.watch(dir, (eventType, filename) => {
+                // Without a filename we don't know what changed; rescan the directory.
+                if (filename) {
+                    this.schedule(path.join(dir, filename.toString()));
+                } else {
+                    this.schedule(dir, true);
+                }
+            });
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        // A watched directory that is deleted may error on some platforms;
+        // its removal is reported through the parent directory.
+        watcher.on('error', (error) => {
+            if (error.code !== 'EPERM' && error.code !== 'ENOENT') this.emit('error', error);
+        });
+        this.watchers.set(realDir, { dir, watcher });
+
+        let entries;
+        try {
+            entries = await fsp.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        await Promise.all(entries.map((entry) => this.inspect(path.join(dir, entry.name), report)));
+    }
+
+    // Inspects a path once it has been quiet for `debounce` ms; with `rescan`,
+    // re-reads the whole directory instead.
+    schedule(fullPath, rescan = false) {
+        if (this.closed) return;
+        const key = rescan ? `${fullPath}${path.sep}` : fullPath;
+        clearTimeout(this.timers.get(key));
+        this.timers.set(key, setTimeout(() => {
+            this.timers.delete(key);
+            (rescan ? this.rescan(fullPath) : this.inspect(fullPath, true)).catch((error) => this.emit('error', error));
+        }, this.debounce));
+    }
+
+    // Brings a watched directory up to date when we don't know which entry
+    // changed: entries no longer there are removed, the others inspected.
+    async rescan(dir) {
+        if (this.closed) return;
+        let names;
+        try {
+            names = await fsp.readdir(dir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            names = [];
+        }
+        if (this.closed) return;
+        const present = new Set(names.map((name) => path.join(dir, name)));
+        const known = [...this.files.keys(), ...[...this.watchers.values()].map((entry) => entry.dir)];
+        known
+            .filter((fullPath) => path.dirname(fullPath) === dir && !present.has(fullPath))
+            .forEach((fullPath) => this.remove(fullPath));
+        await Promise.all([...present].map((fullPath) => this.inspect(fullPath, true)));
+    }
+
+    // Compares a path with what we know about it and reports the difference.
+    async inspect(fullPath, report) {
+        if (this.closed || fullPath !== this.root && this.isExcluded(this.relative(fullPath))) return;
+        let stats = null;
+        try {
+            stats = await fsp.stat(fullPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        if (this.closed) return;
+
+        if (!stats) {
+            this.remove(fullPath);
+        } else if (stats.isDirectory()) {
+            await this.addDirectory(fullPath, report);
+        } else if (stats.isFile() && this.isIncluded(this.relative(fullPath))) {
+            const known = this.files.get(fullPath);
+            this.files.set(fullPath, { mtimeMs: stats.mtimeMs, size: stats.size });
+            if (!known) {
+                if (report) this.report('add', fullPath);
+            } else if (known.mtimeMs !== stats.mtimeMs || known.size !== stats.size) {
+                this.report('change', fullPath);
+            }
+        }
+    }
+
+    // Forgets a file, or a directory and everything below it.
+    remove(fullPath) {
+        const prefix = fullPath + path.sep;
+        for (const [realDir, { dir, watcher }] of [...this.watchers]) {
+            if (dir === fullPath || dir.startsWith(prefix)) {
+                watcher.close();
+                this.watchers.delete(realDir);
+            }
+        }
+        for (const file of [...this.files.keys()]) {
+            if (file === fullPath || file.startsWith(prefix)) {
+                this.files.delete(file);
+                this.report('unlink', file);
+            }
+        }
+    }
+
+    report(type, fullPath) {
+        const event = { type, path: this.relative(fullPath), fullPath };
+        this.emit(type, event);
+        this.emit('all', event);
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.timers.forEach((timer) => clearTimeout(timer));
+        this.timers.clear();
+        this.watchers.forEach(({ watcher }) => watcher.close());
+        this.watchers.clear();
+        this.emit('close');
+    }
+
+    // Yields events until the watcher is closed. Events that arrive while the
+    // loop body is busy are queued, not dropped. An 'error' is thrown from the
+    // loop once the events before it have been yielded.
+    async *[Symbol.asyncIterator]() {
+        const queue = [];
+        let wake = null;
+        let failure = null;
+        const onEvent = (event) => {
+            queue.push(event);
+            if (wake) wake();
+        };
+        const onClose = () => {
+            if (wake) wake();
+        };
+        const onError = (error) => {
+            if (!failure) failure = error;
+            if (wake) wake();
+        };
+        this.on('all', onEvent);
+        this.on('close', onClose);
+        this.on('error', onError);
+        try {
+            while (true) {
+                if (queue.length > 0) {
+                    yield queue.shift();
+                } else if (failure) {
+                    throw failure;
+                } else if (this.closed) {
+                    return;
+                } else {
+                    await new Promise((resolve) => {
+                        wake = resolve;
+                    });
+                    wake = null;
+                }
+            }
+        } finally {
+            this.off('all', onEvent);
+            this.off('close', onClose);
+            this.off('error', onError);
+        }
+    }
+}
+
+function watchTree(root, options) {
+    return new DirectoryWatcher(root, options);
+}
+
+module.exports = { watchTree, DirectoryWatcher, globToRegExp };
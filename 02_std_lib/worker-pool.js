@@ -0,0 +1,358 @@
+const { fork } = require('child_process');
+const { Worker } = require('worker_threads');
+const os = require('os');
+const path = require('path');
+const { createProfiler } = require('./profiler');
+const { createEndpoint, negotiateVersion } = require('./ipc-protocol');
+
+// A pool of workers behind a promise API:
+//
+//   const pool = createWorkerPool();          // one worker per CPU core
+//   const result = await pool.run('calculate', 1e7, { signal, onProgress });
+//   await pool.close();
+//
+// - tasks are queued and handed to the next idle worker
+// - each request carries an id that the worker echoes, so replies are matched
+//   to the right promise
+// - `onProgress({ done, total })` receives the worker's progress messages;
+//   aborting `signal` rejects the task with a TaskCancelledError and asks the
+//   worker to stop it (a queued task is simply dropped)
+// - a task running longer than `timeout` ms is rejected with a TaskTimeoutError;
+//   its worker is killed (a busy worker can't be interrupted) and replaced
+// - a worker that crashes rejects its task with a WorkerCrashedError and is
+//   replaced as well. If workers keep dying before they even report 'ready'
+//   (a broken script), or speak no protocol version we know, the pool gives up
+//   and rejects all queued tasks.
+// - a worker sending a message the protocol doesn't allow fails its task with
+//   that ProtocolError and is replaced too
+//
+// Workers are forked processes by default, or worker threads with
+// `backend: 'thread'`. Callers don't change between the two:
+//
+// - 'process': full isolation (a crash or memory leak stays in the child),
+//   but every message is serialized and copied, and each worker is a whole
+//   Node.js instance to start.
+// - 'thread': cheaper to start and to talk to. Buffers listed in
+//   `run(task, data, { transfer })` are moved to the thread instead of copied,
+//   and results in a SharedArrayBuffer are read in place. The process backend
+//   ignores `transfer` and copies.
+//
+// `node worker-pool.js --benchmark` compares the two on the same tasks.
+//
+// Workers speak the protocol in ipc-protocol.js, like worker.js does. Messages
+// are copied with the structured clone algorithm in both backends
+// (`serialization: 'advanced'` for fork), so typed arrays, Maps and Dates
+// arrive intact.
+
+class WorkerPoolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+class TaskTimeoutError extends WorkerPoolError {
+    constructor(message, task, timeout) {
+        super(message);
+        this.task = task;
+        this.timeout = timeout;
+    }
+}
+
+class TaskCancelledError extends WorkerPoolError {
+    constructor(message, task) {
+        super(message);
+        this.task = task;
+    }
+}
+
+class WorkerCrashedError extends WorkerPoolError {
+    constructor(message, task, exitCode, signal) {
+        super(message);
+        this.task = task;
+        this.exitCode = exitCode;
+        this.signal = signal;
+    }
+}
+
+class TaskFailedError extends WorkerPoolError {
+    constructor(message, task, code) {
+        super(message);
+        this.task = task;
+        this.code = code;
+    }
+}
+
+const MAX_STARTUP_FAILURES = 3;
+
+// Each backend starts a worker and wraps it in the same small interface:
+// { id, connected, send(message, transferList), stop(), kill(), on('message' | 'exit' | 'error') }.
+// 'exit' listeners receive (code, signal); threads have no signal.
+const backends = {
+    process(script, options) {
+        const child = fork(script, [], { serialization: 'advanced', ...options });
+        return {
+            id: `PID ${child.pid}`,
+            get connected() {
+                return child.connected;
+            },
+            send: (message) => child.send(message),
+            stop: () => child.kill('SIGTERM'),
+            kill: () => child.kill('SIGKILL'),
+            on: (event, listener) => child.on(event, listener),
+        };
+    },
+    thread(script, options) {
+        const worker = new Worker(script, options);
+        let exited = false;
+        worker.once('exit', () => {
+            exited = true;
+        });
+        return {
+            id: `thread ${worker.threadId}`,
+            get connected() {
+                return !exited;
+            },
+            send: (message, transferList) => worker.postMessage(message, transferList),
+            stop: () => worker.terminate(),
+            kill: () => worker.terminate(),
+            on: (event, listener) => worker.on(event, event === 'exit' ? (code) => listener(code, null) : listener),
+        };
+    },
+};
+
+function createWorkerPool({ script = path.join(__dirname, 'worker.js'), size = os.cpus().length, timeout = 30000, backend = 'process', workerOptions = {} } = {}) {
+    const startWorker = backends[backend];
+    if (!startWorker) {
+        throw new WorkerPoolError(`Unknown backend '${backend}'; use ${Object.keys(backends).join(' or ')}`);
+    }
+    const protocol = createEndpoint('parent');
+    const workers = new Set();
+    const queue = [];
+    let nextId = 1;
+    let startupFailures = 0;
+    let restarts = 0;
+    let completed = 0;
+    let cancelled = 0;
+    let protocolErrors = 0;
+    let closing = null;
+    let broken = null;
+
+    function giveUp(error) {
+        broken = error;
+        queue.splice(0).forEach((queued) => queued.settle(queued.reject, error));
+    }
+
+    function onMessage(worker, raw) {
+        const { job } = worker;
+        if (worker.killed) return;
+        let message;
+        try {
+            message = protocol.decode(raw);
+        } catch (error) {
+            // A worker that breaks the protocol can't be trusted with more
+            // tasks: fail the one it is running and replace it.
+            protocolErrors++;
+            if (job) job.settle(job.reject, error);
+            worker.killed = true;
+            worker.handle.kill();
+            return;
+        }
+
+        if (message.type === 'ready') {
+            let version;
+            try {
+                version = negotiateVersion(message.versions);
+            } catch (error) {
+                giveUp(error);
+                worker.killed = true;
+                worker.handle.kill();
+                return;
+            }
+            worker.handle.send(protocol.encode('accept', { version }));
+            worker.ready = true;
+            startupFailures = 0;
+            dispatch();
+            return;
+        }
+
+        if (!job || message.id !== job.id) return;
+        if (message.type === 'progress') {
+            if (job.onProgress && !job.settled) job.onProgress({ done: message.done, total: message.total });
+            return;
+        }
+        finish(worker);
+        // A cancelled task was counted by cancel(), whatever its worker replies.
+        if (!job.cancelled) completed++;
+        if (message.type === 'error') {
+            job.settle(job.reject, new TaskFailedError(message.message, job.task, message.code));
+        } else if (message.type === 'cancelled') {
+            job.settle(job.reject, new TaskCancelledError(`Task '${job.task}' was cancelled`, job.task));
+        } else {
+            job.settle(job.resolve, message.result);
+        }
+        dispatch();
+    }
+
+    function spawnWorker() {
+        const worker = { handle: startWorker(script, workerOptions), ready: false, killed: false, job: null };
+        workers.add(worker);
+
+        worker.handle.on('message', (raw) => onMessage(worker, raw));
+
+        worker.handle.on('error', () => {
+            // Reported through 'exit'; without this listener a failed fork()
+            // or an exception in a thread would crash the parent.
+        });
+
+        worker.handle.on('exit', (code, signal) => {
+            workers.delete(worker);
+            const { job } = worker;
+            if (job) {
+                finish(worker);
+                job.settle(job.reject, new WorkerCrashedError(`Worker ${worker.handle.id} died while running '${job.task}' (${signal || `code ${code}`})`, job.task, code, signal));
+            }
+            if (closing) {
+                checkClosed();
+                return;
+            }
+            if (broken) return;
+            if (!worker.ready && ++startupFailures >= MAX_STARTUP_FAILURES) {
+                giveUp(new WorkerPoolError(`Workers keep exiting before they are ready (${signal || `code ${code}`}); check ${path.basename(script)}`));
+                return;
+            }
+            restarts++;
+            spawnWorker();
+        });
+        return worker;
+    }
+
+    function finish(worker) {
+        clearTimeout(worker.job.timer);
+        worker.job.worker = null;
+        worker.job = null;
+    }
+
+    function dispatch() {
+        for (const worker of workers) {
+            if (queue.length === 0) break;
+            if (!worker.ready || worker.job || worker.killed || !worker.handle.connected) continue;
+            const job = queue.shift();
+            worker.job = job;
+            job.worker = worker;
+            job.timer = setTimeout(() => {
+                job.settle(job.reject, new TaskTimeoutError(`Task '${job.task}' timed out after ${job.timeout}ms`, job.task, job.timeout));
+                worker.killed = true;
+                worker.handle.kill();
+            }, job.timeout);
+            worker.handle.send(protocol.encode('task', { id: job.id, task: job.task, data: job.data }), job.transfer);
+        }
+        if (closing) checkClosed();
+    }
+
+    // A cancelled task is rejected right away. Its worker stays busy until it
+    // confirms with 'cancelled' (or finishes anyway), so it is never handed two
+    // tasks at once.
+    function cancel(job) {
+        if (job.settled) return;
+        job.cancelled = true;
+        cancelled++;
+        job.settle(job.reject, new TaskCancelledError(`Task '${job.task}' was cancelled`, job.task));
+        if (job.worker) {
+            job.worker.handle.send(protocol.encode('cancel', { id: job.id }));
+        } else {
+            queue.splice(queue.indexOf(job), 1);
+            if (closing) checkClosed();
+        }
+    }
+
+    let resolveClosed;
+    function checkClosed() {
+        if (queue.length > 0 || [...workers].some((worker) => worker.job)) return;
+        for (const worker of workers) worker.handle.stop();
+        if (workers.size === 0) resolveClosed();
+    }
+
+    for (let i = 0; i < size; i++) spawnWorker();
+
+    return {
+        backend,
+        run(task, data, { timeout: taskTimeout = timeout, transfer = [], signal, onProgress } = {}) {
+            if (closing) return Promise.reject(new WorkerPoolError('Worker pool is closed'));
+            if (broken) return Promise.reject(broken);
+            if (signal && signal.aborted) return Promise.reject(new TaskCancelledError(`Task '${task}' was cancelled`, task));
+            return new Promise((resolve, reject) => {
+                const job = { id: nextId++, task, data, timeout: taskTimeout, transfer, onProgress, resolve, reject, settled: false, cancelled: false, worker: null };
+                const onAbort = () => cancel(job);
+                job.settle = (settleWith, value) => {
+                    if (job.settled) return;
+                    job.settled = true;
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    settleWith(value);
+                };
+                if (signal) signal.addEventListener('abort', onAbort, { once: true });
+                queue.push(job);
+                dispatch();
+            });
+        },
+        stats() {
+            const busy = [...workers].filter((worker) => worker.job).length;
+            return { size: workers.size, busy, idle: workers.size - busy, queued: queue.length, completed, cancelled, restarts, protocolErrors };
+        },
+        // Lets queued and running tasks finish, then stops the workers.
+        close() {
+            if (!closing) {
+                closing = new Promise((resolve) => {
+                    resolveClosed = resolve;
+                });
+                checkClosed();
+            }
+            return closing;
+        },
+    };
+}
+
+// Runs the same tasks on both backends: starting a pool (until its first
+// task is answered), the CPU-bound calculation on every worker at once, and a
+// task with an 8 MB Float64Array result.
+async function benchmark({ runs = 5, size = os.cpus().length } = {}) {
+    const profiler = createProfiler();
+    // Keep the workers' per-task log lines out of the report.
+    const workerOptions = { env: { ...process.env, WORKER_QUIET: '1' } };
+    const tasks = Array.from({ length: size });
+
+    for (const backend of Object.keys(backends)) {
+        await profiler.span(backend, async () => {
+            await profiler.bench('start pool', async () => {
+                const pool = createWorkerPool({ backend, size, workerOptions });
+                await Promise.all(tasks.map(() => pool.run('calculate', 0)));
+                await pool.close();
+            }, { runs });
+
+            const pool = createWorkerPool({ backend, size, workerOptions });
+            try {
+                await profiler.bench(`calculate 1e6 x ${size}`, () => Promise.all(tasks.map(() => pool.run('calculate', 1e6))), { runs, warmup: 1 });
+                await profiler.bench('series 1e6 (8 MB result)', () => pool.run('series', 1e6), { runs, warmup: 1 });
+            } finally {
+                await pool.close();
+            }
+        });
+    }
+    return profiler.report();
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    if (args[0] !== '--benchmark') {
+        console.error('Usage: node worker-pool.js --benchmark [runs]');
+        process.exit(1);
+    }
+    const runs = args[1] ? Number(args[1]) : undefined;
+    console.log(`Benchmarking the process and thread backends with ${os.cpus().length} worker(s)...`);
+    benchmark({ runs }).then((report) => console.log(report), (error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { createWorkerPool, benchmark, WorkerPoolError, TaskTimeoutError, TaskCancelledError, WorkerCrashedError, TaskFailedError };
@@ -1,32 +1,152 @@
 
-// This is the child process script for the fork() example.
+// This is the child process script for the fork() example and the worker pool.
+// The pool can also load it as a worker thread; then messages go through
+// `parentPort` instead of the IPC channel of `process`. Either way, every
+// message follows the protocol in ipc-protocol.js.
 
-// A CPU-intensive function to simulate work
-function performComplexCalculation(iterations) {
+const { parentPort, threadId } = require('worker_threads');
+const { createEndpoint, PROTOCOL_VERSIONS } = require('./ipc-protocol');
+
+const label = parentPort ? `Worker thread ${threadId}` : `Worker ${process.pid}`;
+// Set by the pool's benchmark, which only wants the timings.
+const quiet = process.env.WORKER_QUIET === '1';
+const protocol = createEndpoint('worker');
+const channel = parentPort || process;
+const post = parentPort
+    ? (message) => parentPort.postMessage(message)
+    : (message) => process.send(message);
+const send = (type, fields) => post(protocol.encode(type, fields));
+
+// Iterations between checks for a cancellation, and the least time between
+// two progress reports.
+const SLICE = 1e6;
+const PROGRESS_INTERVAL = 500;
+
+class TaskCancelled extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// A CPU-intensive function to simulate work. It runs in slices and yields to
+// the event loop in between, so it can report progress and notice a 'cancel'.
+async function performComplexCalculation(iterations, { reportProgress, isCancelled }) {
     let result = 0;
-    for (let i = 0; i < iterations; i++) {
-        result += Math.sqrt(i) * Math.sin(i);
+    let lastReport = Date.now();
+    for (let start = 0; start < iterations; start += SLICE) {
+        const end = Math.min(start + SLICE, iterations);
+        for (let i = start; i < end; i++) {
+            result += Math.sqrt(i) * Math.sin(i);
+        }
+        if (end < iterations) {
+            if (Date.now() - lastReport >= PROGRESS_INTERVAL) {
+                lastReport = Date.now();
+                reportProgress(end, iterations);
+            }
+            await new Promise((resolve) => setImmediate(resolve));
+            if (isCancelled()) throw new TaskCancelled(`Cancelled after ${end} iterations`);
+        }
     }
     return result;
 }
 
-process.on('message', (message) => {
-    if (message.task === 'calculate') {
-        console.log(`[Worker] Received task to perform ${message.data} iterations.`);
-        const result = performComplexCalculation(message.data);
+// The same calculation, but every term is kept: a large numeric result. In a
+// worker thread it is written to a SharedArrayBuffer, which the parent reads
+// in place; a child process has to send a copy.
+function calculateSeries(count) {
+    const series = new Float64Array(parentPort ? new SharedArrayBuffer(count * 8) : count);
+    for (let i = 0; i < count; i++) {
+        series[i] = Math.sqrt(i) * Math.sin(i);
+    }
+    return series;
+}
 
-        // Send the result back to the parent process
-        process.send({ 
-            event: 'calculationComplete', 
-            result: result 
-        });
-    } else {
-        process.send({ 
-            event: 'error', 
-            message: 'Unknown task' 
+// Sums a Float64Array; with a worker thread the caller can transfer its buffer
+// instead of having it copied.
+function sum(values) {
+    let total = 0;
+    for (let i = 0; i < values.length; i++) {
+        total += values[i];
+    }
+    return total;
+}
+
+const tasks = {
+    calculate: performComplexCalculation,
+    series: calculateSeries,
+    sum,
+};
+
+// Ids of the tasks in flight, and of those among them asked to stop.
+const running = new Set();
+const cancelled = new Set();
+// Set by the parent's 'accept'; tasks are refused until then.
+let protocolVersion = null;
+
+async function runTask({ id, task, data }) {
+    // Only the tasks listed above: not 'toString' or 'constructor' inherited from Object.
+    if (!Object.hasOwn(tasks, task)) {
+        send('error', { id, message: `Unknown task: ${task}`, code: 'EUNKNOWNTASK' });
+        return;
+    }
+    if (task === 'calculate' && !quiet) {
+        console.log(`[${label}] Received task to perform ${data} iterations.`);
+    }
+    running.add(id);
+    try {
+        const result = await tasks[task](data, {
+            reportProgress: (done, total) => send('progress', { id, done, total }),
+            isCancelled: () => cancelled.has(id),
         });
+        // Send the result back to the parent process
+        send('result', { id, result });
+    } catch (error) {
+        if (error instanceof TaskCancelled) {
+            send('cancelled', { id });
+        } else {
+            send('error', { id, message: error.message, code: typeof error.code === 'string' ? error.code : undefined });
+        }
+    } finally {
+        running.delete(id);
+        cancelled.delete(id);
+    }
+}
+
+channel.on('message', (raw) => {
+    let message;
+    try {
+        message = protocol.decode(raw);
+    } catch (error) {
+        // Tell the parent what was wrong instead of ignoring the message.
+        const id = raw && Number.isInteger(raw.id) ? raw.id : undefined;
+        send('error', { id, message: error.message, code: error.name });
+        return;
+    }
+    switch (message.type) {
+        case 'accept':
+            if (!PROTOCOL_VERSIONS.includes(message.version)) {
+                send('error', { message: `Protocol version ${message.version} is not supported; this worker speaks ${PROTOCOL_VERSIONS.join(', ')}`, code: 'EPROTOVERSION' });
+                break;
+            }
+            protocolVersion = message.version;
+            break;
+        case 'task':
+            if (protocolVersion === null) {
+                send('error', { id: message.id, message: 'Task received before a protocol version was accepted', code: 'ENOTACCEPTED' });
+                break;
+            }
+            runTask(message);
+            break;
+        case 'cancel':
+            // A cancel can cross the task's reply; then there is nothing to stop.
+            if (running.has(message.id)) cancelled.add(message.id);
+            break;
+        case 'ping':
+            send('pong', { id: message.id });
+            break;
     }
 });
 
-// Notify the parent that the worker is ready
-process.send({ event: 'ready' });
+// Notify the parent that the worker is ready, and which protocol versions it speaks
+send('ready', { versions: PROTOCOL_VERSIONS });
@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { pipeline } from 'stream/promises';
+import { ThroughputMeter, formatSpeed } from '../02_std_lib/throughput.js';
 
 // Replicate __dirname functionality in ES Modules
 const __filename = fileURLToPath(import.meta.url);
@@ -8,8 +10,9 @@ const __dirname = path.dirname(__filename);
 
 // Create a readable stream from data.txt
 // Set the highWaterMark to 50 bytes to control the chunk size.
+const dataFile = path.join(__dirname, 'data.txt');
 const readableStream = fs.createReadStream(
-  path.join(__dirname, 'data.txt'),
+  dataFile,
   { highWaterMark: 50 }
 );
 
@@ -30,3 +33,15 @@ readableStream.on('end', () => {
 readableStream.on('error', (err) => {
   console.error('An error occurred:', err);
 });
+
+// Measure the same stream: a ThroughputMeter (see 02_std_lib/throughput.js)
+// passes every chunk on and reports the bytes so far, the percentage and the
+// speed. It can be the last stream of the pipeline; the data is then dropped.
+const meter = new ThroughputMeter({ total: fs.statSync(dataFile).size, interval: 0 });
+meter.on('progress', ({ bytes, total, percentage, bytesPerSecond }) => {
+  console.log(`Progress: ${bytes}/${total} bytes (${percentage.toFixed(0)}%), ${formatSpeed(bytesPerSecond)}`);
+});
+pipeline(readableStream, meter).then(
+  () => console.log('Measured the whole file.'),
+  (err) => console.error('Measuring failed:', err)
+);